@@ -0,0 +1,163 @@
+// YouTube Algorithm Control - Autoplay
+// When a video ends, YouTube counts down to the next one. If that video would
+// be dimmed or hidden in the feed, we either swap in the best-scoring
+// suggestion on the page (sidebar or end screen) or cancel the countdown.
+// Uses content.js state (per-video scores, overrides, thresholds) and the same
+// scoreVideos message for candidates that haven't been scored yet.
+//
+// Setting (`autoplayPolicy` in chrome.storage.local): 'swap' | 'cancel' | 'off'.
+// Turning off the "End screen & autoplay" surface disables this too.
+
+const AUTOPLAY_DEFAULT_POLICY = 'swap';
+const UPNEXT_POLL_MS = 250;
+const UPNEXT_WAIT_MS = 4000; // the countdown overlay shows up shortly after 'ended'
+
+let autoplayPolicy = AUTOPLAY_DEFAULT_POLICY;
+let decidedUpNext = null; // video ID whose countdown we already handled
+
+chrome.storage.local.get('autoplayPolicy', (data) => {
+  autoplayPolicy = data.autoplayPolicy || AUTOPLAY_DEFAULT_POLICY;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.autoplayPolicy) {
+    autoplayPolicy = changes.autoplayPolicy.newValue || AUTOPLAY_DEFAULT_POLICY;
+    console.log(`[YT-Control] Autoplay policy: ${autoplayPolicy}`);
+  }
+});
+
+// The "Up next" countdown overlay, if it's on screen
+function readUpNext() {
+  const overlay = document.querySelector('.ytp-autonav-endscreen-countdown-overlay');
+  if (!overlay || overlay.style.display === 'none' || !overlay.offsetParent) return null;
+  const link = overlay.querySelector('a.ytp-autonav-endscreen-link-container');
+  const videoId = getVideoId(link ? link.href : null);
+  const titleEl = overlay.querySelector('.ytp-autonav-endscreen-upnext-title');
+  if (!videoId || !titleEl) return null;
+  const authorEl = overlay.querySelector('.ytp-autonav-endscreen-upnext-author');
+  const [channel, ...rest] = (authorEl ? authorEl.textContent : '').split('•').map(s => s.trim());
+  const meta = rest.filter(Boolean).join(' · ');
+  return {
+    videoId,
+    title: titleEl.textContent.trim(),
+    channel: channel || null,
+    duration: null,
+    meta,
+    ...parseMeta(meta),
+    cancelButton: overlay.querySelector('.ytp-autonav-endscreen-upnext-cancel-button'),
+    link,
+  };
+}
+
+// Score for the up-next video without a network call, when we have one
+function knownScore(video) {
+  if (overrides[video.videoId] === 'show') return 1;
+  if (overrides[video.videoId] === 'hide') return 0;
+  const known = videoState.get(video.videoId);
+  if (known) return known.score;
+  const decision = evaluateRules(video, compiledRules);
+  return decision ? decision.score : undefined;
+}
+
+async function fetchScore(video) {
+  if (!currentPreferences) return null;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'scoreVideos',
+      videos: [{
+        id: video.videoId,
+        title: video.title,
+        channel: video.channel,
+        meta: video.meta,
+        views: video.views,
+        ageDays: video.ageDays,
+        short: video.short,
+      }],
+      preferences: currentPreferences,
+      priority: 0,
+    });
+    return response && !response.error ? response.scores[0] : null;
+  } catch (err) {
+    console.warn(`[YT-Control] Could not score ${video.videoId}:`, err);
+    return null;
+  }
+}
+
+// Highest-scoring suggestion on the page that would be shown in the feed
+function bestCandidate(excludeIds) {
+  const tiles = document.querySelectorAll(
+    '[data-ytc-surface="watch"][data-ytc-scored], [data-ytc-surface="endscreen"][data-ytc-scored]'
+  );
+  let best = null;
+  let bestScore = -1;
+  tiles.forEach(tile => {
+    const videoId = tile.dataset.ytcVideoId;
+    if (!videoId || excludeIds.includes(videoId) || tile.dataset.ytcProvisional) return;
+    const score = effectiveScore(tile, getScore(tile));
+    if (score !== undefined && classifyScore(score) === 'shown' && score > bestScore) {
+      best = tile;
+      bestScore = score;
+    }
+  });
+  return best && { tile: best, score: bestScore };
+}
+
+function tileLink(tile) {
+  return tile.matches('a[href]') ? tile : tile.querySelector('a[href*="/watch?v="]');
+}
+
+// Still on the video that ended, with the same countdown on screen
+function upNextStillShowing(upNext, watchedId) {
+  const shown = readUpNext();
+  return getVideoId(location.href) === watchedId && !!shown && shown.videoId === upNext.videoId;
+}
+
+async function handleUpNext(upNext) {
+  decidedUpNext = upNext.videoId;
+  if (autoplayPolicy === 'off' || !filteringEnabled || enabledSurfaces.endscreen === false) return;
+
+  const current = getVideoId(location.href);
+  let score = knownScore(upNext);
+  if (score === undefined) {
+    // The countdown keeps running while the model decides; if it plays the
+    // video first, so be it
+    score = await fetchScore(upNext);
+    // The viewer may have picked something else in the meantime
+    if (!upNextStillShowing(upNext, current)) return;
+  }
+  // Passing or unscored (no preferences, scoring error): leave YouTube's countdown alone
+  if (score === null || classifyScore(score) === 'shown') return;
+
+  if (upNext.cancelButton) upNext.cancelButton.click();
+  const best = autoplayPolicy === 'swap' ? bestCandidate([upNext.videoId, current]) : null;
+  const link = best && tileLink(best.tile);
+  if (link) {
+    console.log(`[YT-Control] Autoplay: "${upNext.title}" scored ${Math.round(score * 100)}%, playing ${best.tile.dataset.ytcVideoId} (${Math.round(best.score * 100)}%) instead`);
+    link.click();
+  } else {
+    console.log(`[YT-Control] Autoplay: "${upNext.title}" scored ${Math.round(score * 100)}%, cancelled`);
+  }
+}
+
+// 'ended' doesn't bubble, but a capturing listener on the document sees it
+document.addEventListener('ended', (event) => {
+  if (!(event.target instanceof HTMLVideoElement) || location.pathname !== '/watch') return;
+  // The end-screen wall appears now — score it like any other surface
+  setTimeout(processVideos, 300);
+
+  const started = Date.now();
+  const poll = setInterval(() => {
+    const upNext = readUpNext();
+    if (upNext && upNext.videoId !== decidedUpNext) {
+      clearInterval(poll);
+      handleUpNext(upNext);
+    } else if (Date.now() - started > UPNEXT_WAIT_MS) {
+      clearInterval(poll);
+    }
+  }, UPNEXT_POLL_MS);
+}, true);
+
+document.addEventListener('yt-navigate-finish', () => {
+  decidedUpNext = null;
+});
@@ -1,213 +1,1349 @@
 // YouTube Algorithm Control - Background Service Worker
-// Gemini API integration for scoring videos against user preferences
-
-const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
-
-// Model rotation: spread requests across 3 models to maximize throughput
-// Each has its own rate limit (5-10 RPM each = ~20 RPM combined)
-const MODELS = [
-  'gemini-2.5-flash',
-  'gemini-2.5-flash-lite',
-  'gemini-3-flash-preview',
-];
-let modelIndex = 0;
-const modelLastUsed = new Map(); // model → timestamp
-const PER_MODEL_GAP_MS = 13000; // 13s per model ≈ safe under 5 RPM each
-
-function getNextModel() {
-  // Find a model that isn't rate-limited
-  for (let i = 0; i < MODELS.length; i++) {
-    const idx = (modelIndex + i) % MODELS.length;
-    const model = MODELS[idx];
-    const lastUsed = modelLastUsed.get(model) || 0;
-    if (Date.now() - lastUsed >= PER_MODEL_GAP_MS) {
-      modelIndex = (idx + 1) % MODELS.length;
-      return model;
+// LLM integration for scoring videos against user preferences
+
+importScripts('providers.js', 'profiles.js', 'limiter.js', 'metadata.js', 'budgets.js', 'saved.js', 'settings.js', 'fallback.js', 'keys.js');
+
+// Active provider settings, with the legacy top-level Gemini `apiKey` as fallback.
+// Encrypted keys are decrypted here; `locked` is set when the vault is locked.
+async function getProviderConfig() {
+  const data = await chrome.storage.local.get(['provider', 'providerSettings', 'apiKey']);
+  const id = data.provider || DEFAULT_PROVIDER;
+  const stored = { ...(data.providerSettings || {})[id] };
+  if (id === 'gemini' && !stored.apiKey && !stored.encryptedKey) stored.apiKey = data.apiKey;
+  const { apiKey, locked } = await openKey(stored);
+  return { ...resolveProviderConfig(id, { ...stored, apiKey }), locked };
+}
+
+// Message for a provider that can't be called for lack of a key
+function missingKeyError(config) {
+  return config.locked
+    ? `${config.adapter.label} API key is locked — unlock it in the popup`
+    : `No ${config.adapter.label} API key set`;
+}
+
+// Rough token count for the limiter before the provider reports the real one:
+// ~4 chars per token for the prompt, plus the expected reply
+function estimateTokens(prompt, replyTokens) {
+  return Math.ceil(prompt.length / 4) + replyTokens;
+}
+
+// Older versions stored the roster as plain model names — rewrite them as
+// roster entries so the options page shows their limits
+async function migrateModelRosters() {
+  const { providerSettings } = await chrome.storage.local.get('providerSettings');
+  if (!providerSettings) return;
+  let changed = false;
+  for (const [id, stored] of Object.entries(providerSettings)) {
+    if ((stored.models || []).some(model => typeof model === 'string')) {
+      stored.models = normalizeModels(id, stored.models);
+      changed = true;
     }
   }
-  // All rate-limited — return the one that will be available soonest
-  let bestModel = MODELS[0];
-  let bestWait = Infinity;
-  for (const model of MODELS) {
-    const wait = PER_MODEL_GAP_MS - (Date.now() - (modelLastUsed.get(model) || 0));
-    if (wait < bestWait) {
-      bestWait = wait;
-      bestModel = model;
+  if (changed) await chrome.storage.local.set({ providerSettings });
+}
+
+chrome.runtime.onInstalled.addListener(migrateModelRosters);
+
+// Send a prompt to one model of the active provider, optionally with a response
+// schema and labelled images
+function callModel(config, model, prompt, schema = null, images = []) {
+  const { url, init } = config.adapter.buildRequest(config, model, prompt, schema, images);
+  console.log(`[YT-Control BG] Using ${config.adapter.label} model: ${model}`);
+  recordStat(day => increment(day.apiCalls, `${config.id}/${model}`));
+  return fetch(url, init);
+}
+
+// Token usage from the provider's response, or a ~4 chars/token estimate.
+// Also corrects the limiter's token bucket, which was charged `estimated`.
+function recordTokens(config, model, json, prompt, text, estimated) {
+  const reported = config.adapter.extractUsage(json);
+  const tokens = reported ?? Math.ceil(((prompt || '').length + (text || '').length) / 4);
+  recordStat(day => increment(day.tokens, `${config.id}/${model}`, tokens));
+  settleTokens(config.id, model, estimated, tokens);
+}
+
+// Persistent score cache: survives service-worker restarts (MV3 kills the
+// worker after ~30s idle). Keyed on "<prefs namespace>:<video ID>" and stored
+// in chrome.storage.local, spread over CACHE_SHARDS items ("scoreCache:0".."31")
+// so a save rewrites only the shards that changed, as key → [score, createdAt, lastUsedAt, details]
+// where details is { reason, matched, violated, rewrite?, category? } from the
+// model — rewrite is the de-clickbaited title, asked for only while that mode
+// is on; category the watch-time budget label, asked for while budgets exist.
+const CACHE_STORAGE_KEY = 'scoreCache'; // before sharding: the whole cache in one item
+const CACHE_SHARDS = 32;
+const CACHE_SHARD_KEYS = Array.from({ length: CACHE_SHARDS }, (_, i) => `${CACHE_STORAGE_KEY}:${i}`);
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // scores go stale as videos age
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_SAVE_DELAY_MS = 1000;
+
+let scoreCache = null; // Map, loaded lazily from storage
+let cacheLoadPromise = null; // shared so concurrent requests load only once
+let cacheSaveTimer = null;
+const dirtyCacheShards = new Set(); // shard numbers changed since the last save
+const cacheStats = { hits: 0, misses: 0 }; // since the worker started
+
+// Short stable hash (djb2) of a string
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+}
+
+// Each preference set gets its own namespace
+function prefsNamespace(preferences) {
+  return hashText(preferences).toString(36);
+}
+
+function cacheShard(key) {
+  return hashText(key) % CACHE_SHARDS;
+}
+
+// Videos without a parsed ID fall back to title|channel|duration
+function cacheKey(video, namespace) {
+  return `${namespace}:${video.id || `${video.title}|${video.channel}|${video.duration || ''}`}`;
+}
+
+function loadCache() {
+  if (!cacheLoadPromise) {
+    cacheLoadPromise = chrome.storage.local.get([CACHE_STORAGE_KEY, ...CACHE_SHARD_KEYS]).then(data => {
+      const now = Date.now();
+      scoreCache = new Map();
+      const stored = [data[CACHE_STORAGE_KEY], ...CACHE_SHARD_KEYS.map(key => data[key])];
+      stored.forEach(entries => {
+        for (const [key, entry] of Object.entries(entries || {})) {
+          if (now - entry[1] < CACHE_TTL_MS) scoreCache.set(key, entry);
+        }
+      });
+      // Move an unsharded cache from older versions into shards
+      if (data[CACHE_STORAGE_KEY]) {
+        chrome.storage.local.remove(CACHE_STORAGE_KEY);
+        CACHE_SHARD_KEYS.forEach((_, shard) => dirtyCacheShards.add(shard));
+        scheduleCacheSave();
+      }
+      console.log(`[YT-Control BG] Score cache loaded: ${scoreCache.size} entries`);
+      return scoreCache;
+    });
+  }
+  return cacheLoadPromise;
+}
+
+function markCacheDirty(key) {
+  dirtyCacheShards.add(cacheShard(key));
+  scheduleCacheSave();
+}
+
+// Debounced write-back of the changed shards, so a batch of updates costs one
+// storage write of a few small items
+function scheduleCacheSave() {
+  clearTimeout(cacheSaveTimer);
+  cacheSaveTimer = setTimeout(() => {
+    const shards = Object.fromEntries([...dirtyCacheShards].map(shard => [CACHE_SHARD_KEYS[shard], {}]));
+    dirtyCacheShards.clear();
+    scoreCache.forEach((entry, key) => {
+      const shard = shards[CACHE_SHARD_KEYS[cacheShard(key)]];
+      if (shard) shard[key] = entry;
+    });
+    chrome.storage.local.set(shards);
+  }, CACHE_SAVE_DELAY_MS);
+}
+
+async function getCachedScore(key) {
+  const cache = await loadCache();
+  const entry = cache.get(key);
+  if (!entry || Date.now() - entry[1] >= CACHE_TTL_MS) {
+    if (entry) {
+      cache.delete(key);
+      markCacheDirty(key);
     }
+    cacheStats.misses++;
+    recordStat(day => { day.cacheMisses++; });
+    return null;
   }
-  return bestModel;
+  entry[2] = Date.now(); // saved with the shard's next write, not on its own
+  cacheStats.hits++;
+  recordStat(day => { day.cacheHits++; });
+  return { score: entry[0], details: entry[3] || null };
 }
 
-// In-memory score cache: "title|channel|prefs" → score
-const scoreCache = new Map();
+async function setCachedScore(key, score, details = null) {
+  const cache = await loadCache();
+  const now = Date.now();
+  cache.set(key, [score, now, now, details]);
+  markCacheDirty(key);
+  if (cache.size > CACHE_MAX_ENTRIES) evictLeastRecentlyUsed(cache);
+}
+
+// Drop the least recently used 10% so we don't sort on every insert
+function evictLeastRecentlyUsed(cache) {
+  const excess = cache.size - Math.floor(CACHE_MAX_ENTRIES * 0.9);
+  const oldest = [...cache.entries()]
+    .sort((a, b) => a[1][2] - b[1][2])
+    .slice(0, excess);
+  oldest.forEach(([key]) => {
+    cache.delete(key);
+    markCacheDirty(key);
+  });
+  console.log(`[YT-Control BG] Evicted ${oldest.length} cache entries`);
+}
 
-// Persist errors to storage for debugging (keeps last 10)
+async function getCacheStats() {
+  const cache = await loadCache();
+  const namespaces = new Set([...cache.keys()].map(key => key.split(':')[0]));
+  return {
+    entries: cache.size,
+    namespaces: namespaces.size,
+    maxEntries: CACHE_MAX_ENTRIES,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+  };
+}
+
+async function clearCache() {
+  clearTimeout(cacheSaveTimer);
+  dirtyCacheShards.clear();
+  scoreCache = new Map();
+  cacheLoadPromise = Promise.resolve(scoreCache);
+  cacheStats.hits = 0;
+  cacheStats.misses = 0;
+  await chrome.storage.local.remove([CACHE_STORAGE_KEY, ...CACHE_SHARD_KEYS]);
+  console.log('[YT-Control BG] Score cache cleared.');
+}
+
+// Every API key we know in plain text, for redaction
+async function knownSecrets() {
+  const data = await chrome.storage.local.get(['providerSettings', 'apiKey']);
+  const secrets = Object.values(data.providerSettings || {}).map(stored => stored.apiKey);
+  secrets.push(data.apiKey, (await getProviderConfig()).apiKey);
+  return secrets.filter(Boolean);
+}
+
+// Persist errors to storage for debugging (keeps last 10). Keys are redacted
+// before anything is logged or stored.
 async function logError(type, status, detail) {
+  const text = redactSecrets(typeof detail === 'string' ? detail : String(detail), await knownSecrets());
   const entry = {
     time: new Date().toISOString(),
     type,
     status,
-    detail: typeof detail === 'string' ? detail.substring(0, 500) : String(detail),
+    detail: text.substring(0, 500),
   };
-  console.error(`[YT-Control BG] ${type}:`, status, detail);
+  console.error(`[YT-Control BG] ${type}:`, status, text);
   const data = await chrome.storage.local.get('errorLog');
   const log = (data.errorLog || []).slice(-9);
   log.push(entry);
   await chrome.storage.local.set({ errorLog: log });
 }
 
-// Clear cache when preferences change
-chrome.storage.onChanged.addListener((changes) => {
-  if (changes.preferences) {
-    scoreCache.clear();
-    console.log('[YT-Control BG] Preferences changed, cache cleared.');
+// Older versions put the Gemini key in request URLs — scrub entries logged back then
+async function redactErrorLog() {
+  const { errorLog } = await chrome.storage.local.get('errorLog');
+  if (!errorLog || errorLog.length === 0) return;
+  const secrets = await knownSecrets();
+  const redacted = errorLog.map(entry => ({ ...entry, detail: redactSecrets(entry.detail, secrets) }));
+  await chrome.storage.local.set({ errorLog: redacted });
+}
+
+chrome.runtime.onInstalled.addListener(redactErrorLog);
+
+// Profiles: copy the active profile (scheduled, else manually picked) into the
+// top-level keys the content script reads. Switching profiles changes the
+// preference text, which switches the score-cache namespace — each profile
+// keeps its own cached scores.
+const PROFILE_ALARM = 'ytc-profile-schedule';
+
+async function applyActiveProfile() {
+  const data = await chrome.storage.local.get([
+    'profiles', 'activeProfileId', 'currentProfileId', 'preferences', 'strictness', 'rules', 'focusUntil',
+    'watchBudgets', 'budgetState',
+  ]);
+  let profiles = data.profiles;
+
+  // First run after upgrading: turn the single preference set into a profile
+  if (!profiles || profiles.length === 0) {
+    const profile = createProfile('Default', {
+      preferences: data.preferences,
+      strictness: data.strictness,
+      rules: data.rules,
+    });
+    profiles = [profile];
+    await chrome.storage.local.set({ profiles, activeProfileId: profile.id });
+    console.log('[YT-Control BG] Created Default profile from existing settings');
+  }
+
+  const { profile, scheduled } = resolveActiveProfile(profiles, data.activeProfileId);
+  // A focus session overrides the profile's strictness until it ends; soft
+  // budget enforcement adds a step per category over today's budget
+  const overBudget = data.budgetState?.day === dayKey() ? data.budgetState.over.length : 0;
+  const budgetBoost = normalizeBudgets(data.watchBudgets).enforcement === 'soft' ? overBudget : 0;
+  const strictness = data.focusUntil > Date.now()
+    ? FOCUS_STRICTNESS
+    : Math.min(5, profile.strictness + budgetBoost);
+  const updates = {};
+  if (data.currentProfileId !== profile.id) updates.currentProfileId = profile.id;
+  if (data.preferences !== profile.preferences) updates.preferences = profile.preferences;
+  if (data.strictness !== strictness) updates.strictness = strictness;
+  if (JSON.stringify(data.rules || {}) !== JSON.stringify(profile.rules || {})) updates.rules = profile.rules;
+
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+    console.log(`[YT-Control BG] Active profile: ${profile.name}${scheduled ? ' (scheduled)' : ''}`);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.profiles || changes.activeProfileId)) {
+    applyActiveProfile();
+  }
+});
+
+// Re-check schedules every minute
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PROFILE_ALARM) applyActiveProfile();
+});
+
+chrome.alarms.get(PROFILE_ALARM, (alarm) => {
+  if (!alarm) chrome.alarms.create(PROFILE_ALARM, { periodInMinutes: 1 });
+});
+
+chrome.runtime.onInstalled.addListener(applyActiveProfile);
+chrome.runtime.onStartup.addListener(applyActiveProfile);
+
+// Snooze and focus sessions: `snoozeUntil` pauses filtering (the content
+// script checks it next to `enabled`), `focusUntil` makes applyActiveProfile()
+// use Aggressive strictness. Both are timestamps that an alarm removes when
+// they run out. The toolbar badge shows the state and, per tab, how many
+// videos the tab hides. The per-tab counts are kept in session storage so a
+// worker restart doesn't blank the badges.
+const SNOOZE_ALARM = 'ytc-snooze-end';
+const FOCUS_ALARM = 'ytc-focus-end';
+const FOCUS_STRICTNESS = 5;
+const BADGE_COLORS = { on: '#cc0000', focus: '#6a1b9a', paused: '#777777', off: '#777777' };
+const BADGE_TEXTS = { on: '', focus: 'F', paused: 'II', off: 'off' }; // shown when a tab has no count
+const tabHiddenCounts = new Map(); // tab ID → videos hidden in the tab
+const tabCountsLoaded = chrome.storage.session.get('tabHiddenCounts').then(data => {
+  Object.entries(data.tabHiddenCounts || {}).forEach(([tabId, count]) => {
+    if (!tabHiddenCounts.has(Number(tabId))) tabHiddenCounts.set(Number(tabId), count);
+  });
+});
+
+function saveTabHiddenCounts() {
+  chrome.storage.session.set({ tabHiddenCounts: Object.fromEntries(tabHiddenCounts) });
+}
+
+function scheduleEnd(alarmName, until) {
+  if (until > Date.now()) {
+    chrome.alarms.create(alarmName, { when: until });
+  } else {
+    chrome.alarms.clear(alarmName);
+  }
+}
+
+async function getFilterState() {
+  const data = await chrome.storage.local.get(['enabled', 'snoozeUntil', 'focusUntil']);
+  const now = Date.now();
+  if (data.enabled === false) return { state: 'off' };
+  if (data.snoozeUntil > now) return { state: 'paused', until: data.snoozeUntil };
+  if (data.focusUntil > now) return { state: 'focus', until: data.focusUntil };
+  return { state: 'on' };
+}
+
+function formatUntil(until) {
+  return new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Paused/off replace the count; on and focus show it on the state's colour,
+// focus with an "F" while the tab has nothing hidden
+async function updateBadge(tabIds = null) {
+  await tabCountsLoaded;
+  if (!tabIds) tabIds = [...tabHiddenCounts.keys()];
+  const { state, until } = await getFilterState();
+  const titles = {
+    on: 'YouTube Algorithm Control',
+    focus: `YouTube Algorithm Control — focus until ${formatUntil(until)}`,
+    paused: `YouTube Algorithm Control — paused until ${formatUntil(until)}`,
+    off: 'YouTube Algorithm Control — off',
+  };
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[state] });
+  chrome.action.setTitle({ title: titles[state] });
+  chrome.action.setBadgeText({ text: BADGE_TEXTS[state] });
+  tabIds.forEach(tabId => {
+    const count = tabHiddenCounts.get(tabId) || 0;
+    const text = state === 'paused' || state === 'off' || !count ? '' : String(count > 999 ? '999+' : count);
+    // An empty per-tab text would hide the global state text — reset to it instead
+    chrome.action.setBadgeText({ tabId, text: text || null }).catch(() => {});
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.snoozeUntil) scheduleEnd(SNOOZE_ALARM, changes.snoozeUntil.newValue);
+  if (changes.focusUntil) {
+    scheduleEnd(FOCUS_ALARM, changes.focusUntil.newValue);
+    applyActiveProfile();
+  }
+  if (changes.enabled || changes.snoozeUntil || changes.focusUntil) updateBadge();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SNOOZE_ALARM) {
+    console.log('[YT-Control BG] Snooze over, filtering resumed');
+    chrome.storage.local.remove('snoozeUntil');
+  }
+  if (alarm.name === FOCUS_ALARM) {
+    console.log('[YT-Control BG] Focus session over');
+    chrome.storage.local.remove('focusUntil');
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await tabCountsLoaded;
+  if (tabHiddenCounts.delete(tabId)) saveTabHiddenCounts();
+});
+
+// Keyboard shortcuts (the `commands` manifest key)
+async function toggleFiltering() {
+  const { state } = await getFilterState();
+  if (state === 'paused') {
+    await chrome.storage.local.remove('snoozeUntil'); // toggling during a snooze resumes
+  } else {
+    await chrome.storage.local.set({ enabled: state === 'off' });
+  }
+}
+
+// Steps the active profile's strictness 1 → 5 → 1; ends a running focus
+// session, which would otherwise keep strictness pinned at Aggressive
+async function cycleStrictness() {
+  const data = await chrome.storage.local.get(['profiles', 'currentProfileId', 'focusUntil']);
+  const profiles = data.profiles || [];
+  const profile = profiles.find(p => p.id === data.currentProfileId) || profiles[0];
+  if (!profile) return;
+  profile.strictness = (profile.strictness % 5) + 1;
+  await chrome.storage.local.set({ profiles });
+  if (data.focusUntil) await chrome.storage.local.remove('focusUntil');
+  console.log(`[YT-Control BG] Strictness of ${profile.name} → ${profile.strictness}`);
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'toggle-filtering') toggleFiltering();
+  if (command === 'cycle-strictness') cycleStrictness();
+});
+
+chrome.runtime.onStartup.addListener(() => updateBadge());
+
+// Settings sync (opt-in): SYNC_KEYS are mirrored to chrome.storage.sync, minus
+// API keys. Local edits are pushed after a short delay; edits arriving from
+// other browsers are pulled into local storage. Both sides compare JSON first,
+// so a pull doesn't echo back as a push.
+const SYNC_PUSH_DELAY_MS = 2000;
+let syncEnabled = false;
+let syncPushTimer = null;
+const syncPendingKeys = new Set();
+
+// Comparable JSON for a key as it would sit in sync storage
+function syncJson(key, value) {
+  return JSON.stringify(syncValue(key, value));
+}
+
+async function pushToSync(keys) {
+  const [local, items] = await Promise.all([
+    chrome.storage.local.get(keys),
+    chrome.storage.sync.get(null),
+  ]);
+  const remote = fromSyncItems(items);
+  const writes = {};
+  // Items no longer synced (overrides, unprefixed ones from older versions) free their space
+  const dropped = Object.keys(items).filter(item => !SYNC_KEYS.includes(syncItemBase(item)));
+  const stale = [];
+  keys.forEach(key => {
+    if (local[key] === undefined || syncJson(key, local[key]) === JSON.stringify(remote[key])) return;
+    const chunked = toSyncItems(key, local[key]);
+    Object.assign(writes, chunked);
+    // Drop leftover chunks from a longer previous value
+    const header = SYNC_PREFIX + key;
+    for (let i = chunked[header].chunks; i < (items[header]?.chunks || 0); i++) stale.push(`${header}#${i}`);
+  });
+  if (Object.keys(writes).length === 0 && dropped.length === 0) return;
+  try {
+    // Check the total up front: a set() over quota fails as a whole
+    const after = { ...items, ...writes };
+    [...dropped, ...stale].forEach(item => delete after[item]);
+    const total = Object.entries(after).reduce((sum, [item, value]) => sum + syncItemBytes(item, value), 0);
+    if (total > chrome.storage.sync.QUOTA_BYTES) {
+      throw new Error(`Settings are too large to sync (${Math.ceil(total / 1024)} KB of ${chrome.storage.sync.QUOTA_BYTES / 1024} KB)`);
+    }
+    if (dropped.length) await chrome.storage.sync.remove(dropped);
+    if (Object.keys(writes).length) await chrome.storage.sync.set(writes);
+    if (stale.length) await chrome.storage.sync.remove(stale);
+    await chrome.storage.local.set({ syncStatus: { ok: true, at: Date.now() } });
+    console.log(`[YT-Control BG] Synced ${Object.keys(writes).filter(k => !k.includes('#')).map(syncItemBase).join(', ')}`);
+  } catch (err) {
+    await chrome.storage.local.set({ syncStatus: { ok: false, at: Date.now(), error: err.message } });
+    await logError('Sync error', null, err.message);
+  }
+}
+
+async function pullFromSync() {
+  const remote = fromSyncItems(await chrome.storage.sync.get(null));
+  const local = await chrome.storage.local.get(Object.keys(remote));
+  const updates = {};
+  Object.entries(remote).forEach(([key, value]) => {
+    if (syncJson(key, local[key]) === JSON.stringify(value)) return;
+    // Keys and endpoints never leave this machine — merge over the local ones
+    if (key === 'providerSettings') value = mergeProviderSettings(value, local.providerSettings);
+    if (key === 'steer') value.enabled = !!local.steer?.enabled;
+    updates[key] = value;
+  });
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+    console.log(`[YT-Control BG] Pulled synced ${Object.keys(updates).join(', ')}`);
+  }
+}
+
+// Turning sync on: a browser joining an existing sync set takes its settings;
+// the first browser seeds it
+async function startSync() {
+  const items = await chrome.storage.sync.get(null);
+  if (Object.keys(fromSyncItems(items)).length > 0) await pullFromSync();
+  else await pushToSync(SYNC_KEYS);
+}
+
+chrome.storage.local.get('syncSettings').then(data => {
+  syncEnabled = !!data.syncSettings;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.syncSettings) {
+    syncEnabled = !!changes.syncSettings.newValue;
+    if (syncEnabled) startSync();
+    return;
+  }
+  if (!syncEnabled) return;
+  if (area === 'sync') {
+    pullFromSync();
+  } else if (area === 'local') {
+    SYNC_KEYS.filter(key => changes[key]).forEach(key => syncPendingKeys.add(key));
+    if (syncPendingKeys.size === 0) return;
+    clearTimeout(syncPushTimer);
+    syncPushTimer = setTimeout(() => {
+      const keys = [...syncPendingKeys];
+      syncPendingKeys.clear();
+      pushToSync(keys);
+    }, SYNC_PUSH_DELAY_MS);
   }
 });
 
+// Usage stats for the dashboard, one bucket per local day:
+// stats.days['2026-01-31'] = { shown, dimmed, hidden, blockedChannels: { name: n },
+//   apiCalls: { 'provider/model': n }, tokens: { 'provider/model': n }, cacheHits, cacheMisses,
+//   watchTime: { category: seconds } }
+// Fed by events from content.js (filter results), watchtime.js (time watched)
+// and from this worker (API calls, cache).
+const STATS_DAYS_KEPT = 30;
+const STATS_SAVE_DELAY_MS = 2000;
+let statsLoadPromise = null;
+let statsSaveTimer = null;
+
+function dayKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyDay() {
+  return {
+    shown: 0, dimmed: 0, hidden: 0,
+    blockedChannels: {}, apiCalls: {}, tokens: {},
+    cacheHits: 0, cacheMisses: 0,
+    watchTime: {},
+  };
+}
+
+function increment(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
+
+function loadStats() {
+  if (!statsLoadPromise) {
+    statsLoadPromise = chrome.storage.local.get('stats').then(data => data.stats || { days: {} });
+  }
+  return statsLoadPromise;
+}
+
+// Apply `update` to today's bucket; writes are debounced like the score cache
+async function recordStat(update) {
+  const stats = await loadStats();
+  const today = dayKey();
+  if (!stats.days[today]) {
+    stats.days[today] = emptyDay();
+    // Drop the oldest days beyond the retention window
+    Object.keys(stats.days).sort().slice(0, -STATS_DAYS_KEPT).forEach(day => delete stats.days[day]);
+  }
+  update(stats.days[today]);
+
+  clearTimeout(statsSaveTimer);
+  statsSaveTimer = setTimeout(() => chrome.storage.local.set({ stats }), STATS_SAVE_DELAY_MS);
+}
+
+// Filter results reported by content.js after each batch
+function recordFilterStats({ shown = 0, dimmed = 0, hidden = 0, blockedChannels = {} }) {
+  recordStat(day => {
+    day.shown += shown;
+    day.dimmed += dimmed;
+    day.hidden += hidden;
+    Object.entries(blockedChannels).forEach(([channel, n]) => increment(day.blockedChannels, channel, n));
+  });
+}
+
+async function clearStats() {
+  clearTimeout(statsSaveTimer);
+  statsLoadPromise = Promise.resolve({ days: {} });
+  await chrome.storage.local.remove(['stats', 'errorLog']);
+}
+
+// Watch-time budgets (budgets.js): watchtime.js reports seconds watched per
+// category, which land in today's stats bucket. `budgetState` = { day, over }
+// lists the categories over budget today; applyActiveProfile() and
+// watchtime.js enforce from it.
+async function todayWatchTime() {
+  const stats = await loadStats();
+  return stats.days[dayKey()]?.watchTime || {};
+}
+
+async function recordWatchTime(category, seconds) {
+  if (!category || !(seconds > 0)) return;
+  await recordStat(day => {
+    if (!day.watchTime) day.watchTime = {}; // buckets from before budgets existed
+    increment(day.watchTime, normalizeCategory(category), Math.round(seconds));
+  });
+  await refreshBudgetState();
+}
+
+// Also starts each day over: yesterday's overruns don't carry into today
+async function refreshBudgetState() {
+  const data = await chrome.storage.local.get(['watchBudgets', 'budgetState']);
+  const day = dayKey();
+  const over = overBudgetCategories(data.watchBudgets, await todayWatchTime());
+  const current = data.budgetState || {};
+  if (current.day === day && JSON.stringify(current.over) === JSON.stringify(over)) return;
+  const newlyOver = over.filter(category => current.day !== day || !current.over.includes(category));
+  if (newlyOver.length) console.log(`[YT-Control BG] Over today's watch budget: ${newlyOver.join(', ')}`);
+  await chrome.storage.local.set({ budgetState: { day, over } });
+}
+
+// Score and budget category of the video being watched. The scorer labels
+// categories while budgets exist; a cached score from before that (or from a
+// different category list) is scored again, just for this one video.
+async function classifyWatched(video, preferences) {
+  if (!preferences) return { score: null, category: null };
+  const { watchBudgets } = await chrome.storage.local.get('watchBudgets');
+  const categories = scorerCategories(watchBudgets);
+  const namespace = prefsNamespace(preferences);
+  let result = await getCachedScore(cacheKey(video, namespace));
+  const labelled = category => category === OTHER_CATEGORY || categories.includes(category);
+  if (!result || (categories.length && !labelled(result.details?.category))) {
+    result = await enqueueScore(video, preferences, namespace, 0);
+  }
+  if (!result || result.error) return { score: null, category: null };
+  const category = result.details?.category;
+  return { score: result.score, category: labelled(category) ? category : null, provisional: !!result.provisional };
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.watchBudgets) refreshBudgetState();
+  if (changes.watchBudgets || changes.budgetState) applyActiveProfile();
+});
+
+// The profile schedule alarm runs every minute — reuse it for the day rollover
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PROFILE_ALARM) refreshBudgetState();
+});
+
+// "Worth watching" list (saved.js). Every tab reports its top scorers here, so
+// writes go through one chain instead of racing each other's read-modify-write.
+let savedVideosChain = Promise.resolve();
+
+// `change` gets the stored list and returns the new one, or null for no write
+function updateSavedVideos(change) {
+  savedVideosChain = savedVideosChain
+    .then(async () => {
+      const { savedVideos = {} } = await chrome.storage.local.get('savedVideos');
+      const next = change(savedVideos);
+      if (next) await chrome.storage.local.set({ savedVideos: next });
+    })
+    .catch(err => console.warn('[YT-Control BG] Could not update saved videos:', err));
+  return savedVideosChain;
+}
+
+function setSavedStatus(videoId, status) {
+  if (!SAVED_STATUSES.includes(status)) return Promise.resolve();
+  return updateSavedVideos(saved => (
+    saved[videoId] && saved[videoId].status !== status
+      ? { ...saved, [videoId]: { ...saved[videoId], status } }
+      : null
+  ));
+}
+
+// Thumbs-up/down feedback from the tiles, stored as labelled examples:
+// [{ namespace, videoId, title, channel, score, verdict: 'up' | 'down', time }]
+const FEEDBACK_MAX = 200;
+const FEW_SHOT_COUNT = 6;
+
+async function recordFeedback(entry, preferences) {
+  const namespace = prefsNamespace(preferences || '');
+  const { feedback = [] } = await chrome.storage.local.get('feedback');
+  // Latest verdict wins for the same video under the same preferences
+  const kept = feedback.filter(f => !(f.namespace === namespace && f.videoId === entry.videoId));
+  if (entry.verdict) {
+    kept.push({
+      namespace,
+      videoId: entry.videoId,
+      title: entry.title,
+      channel: entry.channel,
+      score: entry.score,
+      verdict: entry.verdict,
+      time: new Date().toISOString(),
+    });
+  }
+  await chrome.storage.local.set({ feedback: kept.slice(-FEEDBACK_MAX) });
+}
+
+function titleWords(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2);
+}
+
+// Most relevant feedback for this batch: same preferences, ranked by word
+// overlap with the batch's titles/channels, newest first on ties
+async function selectFewShotExamples(preferences, videos) {
+  const namespace = prefsNamespace(preferences);
+  const { feedback = [] } = await chrome.storage.local.get('feedback');
+  const examples = feedback.filter(f => f.namespace === namespace);
+  if (examples.length === 0) return [];
+
+  const batchWords = new Set(videos.flatMap(v => titleWords(`${v.title} ${v.channel}`)));
+  return examples
+    .map((example, i) => ({
+      example,
+      overlap: titleWords(`${example.title} ${example.channel}`).filter(w => batchWords.has(w)).length,
+      recency: i,
+    }))
+    .sort((a, b) => b.overlap - a.overlap || b.recency - a.recency)
+    .slice(0, FEW_SHOT_COUNT)
+    .map(({ example }) => example);
+}
+
+function formatFewShot(examples) {
+  if (examples.length === 0) return '';
+  const lines = examples.map(e => {
+    const scored = typeof e.score === 'number' ? `scored ${e.score.toFixed(2)}, ` : '';
+    const wanted = e.verdict === 'up' ? 'user WANTED it' : 'user did NOT want it';
+    return `- "${e.title}" — ${e.channel || '?'} (${scored}${wanted})`;
+  });
+  return `\nThe user corrected earlier scores — follow their judgement on similar videos:\n${lines.join('\n')}\n`;
+}
+
+// Summarize accumulated feedback into a proposed rewrite of the preference text
+async function suggestPreferenceRewrite(preferences) {
+  const namespace = prefsNamespace(preferences || '');
+  const { feedback = [] } = await chrome.storage.local.get('feedback');
+  const examples = feedback.filter(f => f.namespace === namespace).slice(-40);
+  if (examples.length < 3) {
+    return { error: 'Rate a few more videos with 👍/👎 first.' };
+  }
+
+  const config = await getProviderConfig();
+  if (config.adapter.needsKey && !config.apiKey) {
+    return { error: `${missingKeyError(config)}.` };
+  }
+
+  const lines = examples.map(e => `${e.verdict === 'up' ? '👍' : '👎'} "${e.title}" — ${e.channel || '?'}`);
+  const prompt = `A user filters their YouTube feed with this preference text:
+"${preferences}"
+
+They rated these videos (👍 = wanted, 👎 = not wanted):
+${lines.join('\n')}
+
+Rewrite the preference text so it captures what the ratings show, keeping the user's
+voice and anything still valid. Keep it under 60 words.
+Return ONLY JSON: {"preferences": "<new text>", "summary": "<one line on what changed>"}`;
+
+  const schema = {
+    type: 'object',
+    properties: {
+      preferences: { type: 'string' },
+      summary: { type: 'string' },
+    },
+    required: ['preferences', 'summary'],
+    additionalProperties: false,
+  };
+
+  const estimated = estimateTokens(prompt, 200);
+  const slot = await reserveModel(config, estimated);
+  if (slot.error) return { error: slot.error };
+  const { model } = slot;
+  try {
+    const response = await callModel(config, model, prompt, config.adapter.supportsSchema ? schema : null);
+    if (!response.ok) {
+      const errText = await response.text();
+      await logError('API error (suggest)', response.status, `[${model}] ${errText}`);
+      if (response.status === 429) await applyRateLimit(config.id, model, response, errText);
+      return { error: `API error ${response.status}` };
+    }
+    const json = await response.json();
+    const text = config.adapter.extractText(json) || '';
+    recordTokens(config, model, json, prompt, text, estimated);
+    const cleaned = text.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+    const parsed = JSON.parse(cleaned.match(/\{[\s\S]*\}/)?.[0] || cleaned);
+    if (typeof parsed.preferences !== 'string' || !parsed.preferences.trim()) {
+      return { error: 'The model did not return a suggestion.' };
+    }
+    return { preferences: parsed.preferences.trim(), summary: parsed.summary || '' };
+  } catch (err) {
+    await logError('Suggest error', null, err.message);
+    return { error: err.message };
+  }
+}
+
 // Listen for scoring requests from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'scoreVideos') {
-    handleScoreRequest(message.videos, message.preferences)
+    handleScoreRequest(message.videos, message.preferences, message.priority)
       .then(sendResponse)
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
+  if (message.type === 'statsEvent') {
+    recordFilterStats(message.counts);
+  }
+  if (message.type === 'hiddenCount' && sender.tab) {
+    tabCountsLoaded.then(() => {
+      tabHiddenCounts.set(sender.tab.id, message.count);
+      saveTabHiddenCounts();
+      updateBadge([sender.tab.id]);
+    });
+  }
+  if (message.type === 'watchTime') {
+    recordWatchTime(message.category, message.seconds);
+  }
+  if (message.type === 'classifyWatch') {
+    classifyWatched(message.video, message.preferences)
+      .then(sendResponse)
+      .catch(err => sendResponse({ score: null, category: null, error: err.message }));
+    return true;
+  }
+  if (message.type === 'getWatchTime') {
+    todayWatchTime().then(watchTime => sendResponse({ watchTime }));
+    return true;
+  }
+  if (message.type === 'saveWorthWatching') {
+    updateSavedVideos(saved => mergeSavedVideos(saved, message.videos || []));
+  }
+  if (message.type === 'openSavedVideos') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#saved') });
+  }
+  if (message.type === 'savedVideoStatus') {
+    setSavedStatus(message.videoId, message.status).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.type === 'getStats') {
+    // Served from memory, so counts not yet written by the debounce are included
+    loadStats().then(async stats => {
+      const { errorLog = [] } = await chrome.storage.local.get('errorLog');
+      sendResponse({ stats, errorLog, cache: await getCacheStats() });
+    });
+    return true;
+  }
+  if (message.type === 'clearStats') {
+    clearStats().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.type === 'reprioritize') {
+    reprioritize(prefsNamespace(message.preferences || ''), message.ids, message.priority);
+  }
+  if (message.type === 'getQuotaUsage') {
+    getQuotaUsage().then(sendResponse);
+    return true;
+  }
+  if (message.type === 'getCacheStats') {
+    getCacheStats().then(sendResponse);
+    return true;
+  }
+  if (message.type === 'clearCache') {
+    clearCache().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.type === 'recordFeedback') {
+    recordFeedback(message.entry, message.preferences).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.type === 'suggestPreferences') {
+    suggestPreferenceRewrite(message.preferences)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (message.type === 'testKey') {
+    testProviderKey(message)
+      .then(sendResponse)
+      .catch(err => sendResponse({ ok: false, message: err.message }));
+    return true;
+  }
 });
 
-async function handleScoreRequest(videos, preferences) {
-  if (!preferences) {
-    return { error: 'No preferences set' };
+// "Test key" in the popup: one tiny request with the key as typed (saved or
+// not), past the limiter so the answer comes right away. Returns { ok, message };
+// the message carries the key's limits where the provider reports them.
+async function testProviderKey({ provider, baseUrl, apiKey }) {
+  const { providerSettings = {} } = await chrome.storage.local.get('providerSettings');
+  const config = resolveProviderConfig(provider, { ...providerSettings[provider], baseUrl, apiKey });
+  if (config.adapter.needsKey && !apiKey) return { ok: false, message: 'Enter a key first' };
+  const model = config.models[0]?.name;
+  if (!model) return { ok: false, message: 'No model enabled — add one under Models & rate limits' };
+
+  const { url, init } = config.adapter.buildRequest(config, model, 'Reply with OK.');
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (err) {
+    return { ok: false, message: `Could not reach ${config.adapter.label}: ${redactSecrets(err.message, [apiKey])}` };
   }
+  const bodyText = await response.text();
 
-  const data = await chrome.storage.local.get('apiKey');
-  const apiKey = data.apiKey;
-  if (!apiKey) {
-    return { error: 'No API key set. Open the extension popup to add your Gemini API key.' };
+  if (response.status === 401 || response.status === 403 || /API_KEY_INVALID|API key not valid/i.test(bodyText)) {
+    return { ok: false, message: `${config.adapter.label} rejected the key (${response.status})` };
+  }
+  if (response.status === 429) {
+    const { daily } = parseRateLimit(response, bodyText);
+    const tier = /FreeTier/i.test(bodyText) ? 'free tier, ' : '';
+    return { ok: true, message: `Key works, but ${model} is rate-limited right now (${tier}${daily ? 'daily quota used up' : 'per-minute limit'})` };
   }
+  if (!response.ok) {
+    return { ok: false, message: `${config.adapter.label} answered ${response.status}: ${redactSecrets(bodyText, [apiKey]).slice(0, 200)}` };
+  }
+  return { ok: true, message: `Key works with ${model} — ${describeQuotaTier(config, response)}` };
+}
 
-  // Split videos into cached and uncached
-  const results = [];
-  const uncached = [];
-  const uncachedIndices = [];
+// OpenAI and Anthropic send the key's limits with every response, which
+// tells the tier; Gemini doesn't
+function describeQuotaTier(config, response) {
+  const headers = config.adapter.limitHeaders;
+  const rpm = headers && response.headers.get(headers.rpm);
+  const tpm = headers && response.headers.get(headers.tpm);
+  if (rpm || tpm) {
+    return `your limits: ${[rpm && `${rpm} RPM`, tpm && `${Number(tpm).toLocaleString()} TPM`].filter(Boolean).join(' / ')}`;
+  }
+  if (config.id === 'gemini') {
+    return "Gemini doesn't report the tier, so free-tier limits are assumed (raise them under Models & rate limits for a paid key)";
+  }
+  if (config.id === 'ollama') return 'local server, no quota';
+  return 'no limits reported';
+}
 
-  for (let i = 0; i < videos.length; i++) {
-    const key = `${videos[i].title}|${videos[i].channel}|${preferences}`;
-    if (scoreCache.has(key)) {
-      results[i] = scoreCache.get(key);
-    } else {
-      uncached.push(videos[i]);
-      uncachedIndices.push(i);
-      results[i] = null;
-    }
+// Structured response: one object per video with its score, a one-line reason
+// and the preference clauses it matched or violated (shown in the badge card)
+const SCORE_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          score: { type: 'number' },
+          reason: { type: 'string' },
+          matched: { type: 'array', items: { type: 'string' } },
+          violated: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['id', 'score', 'reason', 'matched', 'violated'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['scores'],
+  additionalProperties: false,
+};
+
+// Optional string fields per video: a plain rewrite of the title in
+// de-clickbait mode (`declickbait` in storage), a category while watch-time
+// budgets exist
+const SCORE_ITEM_SCHEMA = SCORE_SCHEMA.properties.scores.items;
+const REWRITE_TOKENS_PER_VIDEO = 25;
+const CATEGORY_TOKENS_PER_VIDEO = 5;
+
+function scoreSchemaWith(fields) {
+  if (fields.length === 0) return SCORE_SCHEMA;
+  return {
+    ...SCORE_SCHEMA,
+    properties: {
+      scores: {
+        type: 'array',
+        items: {
+          ...SCORE_ITEM_SCHEMA,
+          properties: {
+            ...SCORE_ITEM_SCHEMA.properties,
+            ...Object.fromEntries(fields.map(field => [field, { type: 'string' }])),
+          },
+          required: [...SCORE_ITEM_SCHEMA.required, ...fields],
+        },
+      },
+    },
+  };
+}
+
+// Videos the model skipped get re-queued on their own, up to this many calls in total
+const MAX_SCORE_ATTEMPTS = 2;
+
+// Calls per batch when the provider answers 429, and the reply size the
+// limiter budgets for each video in a batch
+const MAX_RATE_LIMIT_ATTEMPTS = 3;
+const REPLY_TOKENS_PER_VIDEO = 60;
+
+// Shared scoring queue: every tab's uncached videos land here. Jobs are keyed
+// like the cache, so the same video requested by two tabs is scored once.
+// Lower priority numbers go first (0 = on screen, 1 = near, 2 = off-screen).
+const BATCH_SIZE = 15;
+const MAX_CONCURRENT_BATCHES = 2;
+const scoreJobs = new Map(); // cache key → job waiting in the queue
+const runningJobs = new Map(); // cache key → job in a batch right now
+let activeBatches = 0;
+let jobSequence = 0;
+
+// Resolves with { score, details }, { error }, or null if the model never scored it
+function enqueueScore(video, preferences, namespace, priority) {
+  const key = cacheKey(video, namespace);
+  const existing = scoreJobs.get(key) || runningJobs.get(key);
+  if (existing) {
+    existing.priority = Math.min(existing.priority, priority);
+    return new Promise(resolve => existing.waiters.push(resolve));
   }
 
-  console.log(`[YT-Control BG] ${scoreCache.size} cached, ${uncached.length} to score`);
+  return new Promise(resolve => {
+    scoreJobs.set(key, {
+      key,
+      video,
+      preferences,
+      namespace,
+      priority,
+      attempts: 0,
+      seq: jobSequence++,
+      waiters: [resolve],
+    });
+    pumpQueue();
+  });
+}
+
+function reprioritize(namespace, ids, priority) {
+  ids.forEach(id => {
+    const job = scoreJobs.get(`${namespace}:${id}`);
+    if (job) job.priority = priority;
+  });
+}
+
+function settleJob(job, result) {
+  runningJobs.delete(job.key);
+  job.waiters.forEach(resolve => resolve(result));
+}
+
+// Start batches while there's capacity: highest priority first, and one
+// preference namespace per batch since they share a prompt
+function pumpQueue() {
+  while (activeBatches < MAX_CONCURRENT_BATCHES && scoreJobs.size > 0) {
+    const ordered = [...scoreJobs.values()]
+      .sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+    const namespace = ordered[0].namespace;
+    const batch = ordered.filter(job => job.namespace === namespace).slice(0, BATCH_SIZE);
+    batch.forEach(job => {
+      scoreJobs.delete(job.key);
+      runningJobs.set(job.key, job);
+    });
 
-  if (uncached.length === 0) {
-    return { scores: results };
+    activeBatches++;
+    runBatch(batch)
+      .catch(err => batch.forEach(job => settleJob(job, { error: err.message })))
+      .finally(() => {
+        activeBatches--;
+        pumpQueue();
+      });
   }
+}
 
-  // Build compact video list (shorter prompt = faster response)
-  const videoList = uncached.map((v, i) =>
-    `${i + 1}. "${v.title}" — ${v.channel || '?'}`
-  ).join('\n');
+// The LLM can't score these right now — answer with offline estimates so the
+// filter keeps working. They aren't cached; the content script asks again later.
+async function settleProvisional(jobs, error) {
+  console.log(`[YT-Control BG] ${error} — using offline estimates for ${jobs.length} videos`);
+  for (const job of jobs) {
+    const estimate = await fallbackScore(job.namespace, job.video, job.preferences);
+    settleJob(job, { ...estimate, provisional: true });
+  }
+}
 
-  const prompt = `Score each video 0.0-1.0 for relevance to: "${preferences}"
-Only score low if clearly irrelevant. Return ONLY a JSON array of numbers.
+async function runBatch(jobs) {
+  const config = await getProviderConfig();
+  if (config.adapter.needsKey && !config.apiKey) {
+    await settleProvisional(jobs, missingKeyError(config));
+    return;
+  }
 
-${videoList}`;
+  // Stable ID the model echoes back — the video ID, or the position if unparsed
+  const items = jobs.map((job, i) => ({ job, video: job.video, id: job.video.id || `v${i}` }));
+  console.log(`[YT-Control BG] Scoring batch of ${items.length} (priority ${jobs[0].priority}, ${scoreJobs.size} queued)`);
 
-  // Pick next available model
-  const model = getNextModel();
-  const url = `${API_BASE}/${model}:generateContent?key=${apiKey}`;
+  const result = await scoreBatch(config, items, jobs[0].preferences);
+  if (result.error) {
+    await settleProvisional(jobs, result.error);
+    return;
+  }
 
-  // Wait if this model was used too recently
-  const lastUsed = modelLastUsed.get(model) || 0;
-  const timeSince = Date.now() - lastUsed;
-  if (timeSince < PER_MODEL_GAP_MS) {
-    const waitMs = PER_MODEL_GAP_MS - timeSince;
-    console.log(`[YT-Control BG] Rate limiter (${model}): waiting ${(waitMs / 1000).toFixed(1)}s`);
-    await new Promise(r => setTimeout(r, waitMs));
+  const missing = [];
+  for (const { job, id } of items) {
+    const scored = result.items.get(id);
+    if (scored) {
+      await setCachedScore(job.key, scored.score, scored.details);
+      learnFromScore(job.namespace, job.video, scored.score);
+      settleJob(job, scored);
+      continue;
+    }
+    job.attempts++;
+    if (job.attempts < MAX_SCORE_ATTEMPTS) {
+      // Back into the queue on its own — the rest of the batch is done
+      runningJobs.delete(job.key);
+      scoreJobs.set(job.key, job);
+    } else {
+      missing.push(job);
+      settleJob(job, null);
+    }
   }
-  modelLastUsed.set(model, Date.now());
 
-  console.log(`[YT-Control BG] Using model: ${model}`);
+  if (missing.length > 0) {
+    await logError('Missing scores', null, `No score for ${missing.length} videos after ${MAX_SCORE_ATTEMPTS} attempts: ${missing.map(j => j.video.id || j.video.title).join(', ')}`);
+  }
+}
 
-  let response;
-  try {
-    response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }]
-      })
-    });
-  } catch (err) {
-    await logError('Fetch error', null, err.message);
-    return { error: err.message };
+async function handleScoreRequest(videos, preferences, priority = 2) {
+  if (!preferences) {
+    return { error: 'No preferences set' };
+  }
+
+  // Split videos into cached and queued. Scores cached before de-clickbait
+  // mode was switched on have no rewrite yet — those go back to the model.
+  const namespace = prefsNamespace(preferences);
+  const { declickbait } = await chrome.storage.local.get('declickbait');
+  const lookups = await Promise.all(videos.map(async video => {
+    const cached = await getCachedScore(cacheKey(video, namespace));
+    const complete = cached && (!declickbait || typeof cached.details?.rewrite === 'string');
+    return complete ? cached : enqueueScore(video, preferences, namespace, priority);
+  }));
+
+  const errors = lookups.filter(result => result && result.error);
+  if (errors.length === videos.length) {
+    return { error: errors[0].error };
   }
 
+  // Unscored videos come back as null so the content script can retry them later;
+  // offline estimates are flagged so it can upgrade them once the LLM is back
+  return {
+    scores: lookups.map(result => (result && !result.error ? result.score : null)),
+    details: lookups.map(result => (result && !result.error ? result.details : null)),
+    provisional: lookups.map(result => !!(result && result.provisional)),
+  };
+}
+
+// One prompt line per video: title, channel, then whatever metadata parsed.
+// Metadata in a language metadata.js doesn't know is passed through raw.
+function describeVideo(video) {
+  const facts = [video.channel || '?'];
+  if (video.short) facts.push('YouTube Short');
+  if (video.live) facts.push('live now');
+  else if (video.duration) facts.push(`${video.duration} long`);
+  const views = formatViews(video.views);
+  const age = formatAge(video.ageDays);
+  if (views) facts.push(views);
+  if (age) facts.push(age);
+  if (!views && !age && video.meta) facts.push(video.meta);
+  return `"${video.title}" — ${facts.join(' · ')}`;
+}
+
+// Thumbnail mode (`thumbnailScoring` in storage) attaches each video's
+// thumbnail for vision-capable models. mqdefault (320×180) is plenty to spot
+// clickbait and keeps image tokens low. Fetching needs the i.ytimg.com host
+// permission, which the popup requests when the mode is switched on.
+const THUMBNAIL_TOKENS = 260; // roughly what providers charge for a small image
+
+async function fetchThumbnail(video) {
+  const url = video.id
+    ? `https://i.ytimg.com/vi/${video.id}/mqdefault.jpg`
+    : (/^https:/.test(video.thumbnail || '') ? video.thumbnail : null);
+  if (!url) return null;
   try {
-    if (!response.ok) {
-      const errText = await response.text();
-      await logError('API error', response.status, `[${model}] ${errText}`);
-
-      // If this model is rate-limited, try another immediately
-      if (response.status === 429) {
-        modelLastUsed.set(model, Date.now() + 30000); // block this model for 30s extra
-        const altModel = getNextModel();
-        if (altModel !== model) {
-          console.log(`[YT-Control BG] 429 on ${model}, retrying with ${altModel}`);
-          const altUrl = `${API_BASE}/${altModel}:generateContent?key=${apiKey}`;
-          modelLastUsed.set(altModel, Date.now());
-          response = await fetch(altUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{ parts: [{ text: prompt }] }]
-            })
-          });
-          if (!response.ok) {
-            const errText2 = await response.text();
-            await logError('API error (fallback)', response.status, `[${altModel}] ${errText2}`);
-            return { error: `API error ${response.status}` };
-          }
-        } else {
-          return { error: `API error 429 (all models rate-limited)` };
-        }
-      } else {
-        return { error: `API error ${response.status}` };
-      }
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return { mimeType: response.headers.get('content-type') || 'image/jpeg', data: btoa(binary) };
+  } catch (err) {
+    console.warn(`[YT-Control BG] Thumbnail fetch failed for ${url}:`, err.message);
+    return null;
+  }
+}
 
-    const json = await response.json();
-    const text = json.candidates?.[0]?.content?.parts?.[0]?.text;
+async function fetchBatchThumbnails(batch) {
+  const images = await Promise.all(batch.map(async ({ video, id }) => {
+    const image = await fetchThumbnail(video);
+    return image && { label: `Thumbnail of [${id}]:`, ...image };
+  }));
+  return images.filter(Boolean);
+}
 
-    if (!text) {
-      return { error: 'Empty response from Gemini' };
-    }
+// One model call for a batch of { video, id } items.
+// Returns { items: Map(id → { score, details }) } or { error }.
+async function scoreBatch(config, batch, preferences) {
+  // Build compact video list (shorter prompt = faster response)
+  const videoList = batch.map(({ video, id }) => `[${id}] ${describeVideo(video)}`).join('\n');
 
-    const cleaned = text.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
-    const scores = JSON.parse(cleaned);
+  const fewShot = formatFewShot(await selectFewShotExamples(preferences, batch.map(item => item.video)));
+
+  const { thumbnailScoring, declickbait, watchBudgets } = await chrome.storage.local.get(
+    ['thumbnailScoring', 'declickbait', 'watchBudgets']
+  );
+  const categories = scorerCategories(watchBudgets);
+  const images = thumbnailScoring ? await fetchBatchThumbnails(batch) : [];
+  const thumbnailNote = images.length
+    ? '\nThumbnails follow the list, labelled by id — treat misleading or clickbait thumbnails like clickbait titles.'
+    : '';
+  const rewriteNote = declickbait
+    ? '\nAlso give each entry a "rewrite": the title as a plain, neutral description of what the video is — no teasers,' +
+      '\nexaggeration, all-caps or emoji, same language, under 100 characters. Repeat the title if it is already plain.'
+    : '';
+  const categoryNote = categories.length
+    ? `\nAlso give each entry a "category": whichever of ${categories.map(c => `"${c}"`).join(', ')} fits the video best, or "${OTHER_CATEGORY}".`
+    : '';
+
+  const prompt = `Score each video 0.0-1.0 for relevance to: "${preferences}"
+Only score low if clearly irrelevant. Length, views and upload age are given
+where known — use them when the preferences mention length, popularity or recency.
+Give a one-line reason for each score, and
+quote the short preference clauses the video matches or violates (empty lists if none).
+Return ONLY JSON: {"scores": [{"id": "<id in brackets>", "score": <number>, "reason": "<one line>",
+"matched": ["<clause>"], "violated": ["<clause>"]}]} with exactly one entry per video.${rewriteNote}${categoryNote}${thumbnailNote}
+${fewShot}
+${videoList}`;
+
+  const extraFields = [declickbait && 'rewrite', categories.length && 'category'].filter(Boolean);
+  const schema = config.adapter.supportsSchema ? scoreSchemaWith(extraFields) : null;
+  const replyTokens = REPLY_TOKENS_PER_VIDEO
+    + (declickbait ? REWRITE_TOKENS_PER_VIDEO : 0)
+    + (categories.length ? CATEGORY_TOKENS_PER_VIDEO : 0);
+  const estimated = estimateTokens(prompt, batch.length * replyTokens)
+    + images.length * THUMBNAIL_TOKENS;
+
+  // A 429 blocks that model in the limiter; the next attempt goes to whichever
+  // model is free soonest (possibly the same one, once its block expires)
+  for (let attempt = 1; attempt <= MAX_RATE_LIMIT_ATTEMPTS; attempt++) {
+    const slot = await reserveModel(config, estimated);
+    if (slot.error) return { error: slot.error };
+    const { model } = slot;
 
-    if (!Array.isArray(scores) || scores.length !== uncached.length) {
-      await logError('Score mismatch', null, `Got ${scores.length} scores for ${uncached.length} videos`);
-      return { error: 'Score count mismatch from LLM' };
+    let response;
+    try {
+      response = await callModel(config, model, prompt, schema, images);
+    } catch (err) {
+      await logError('Fetch error', null, err.message);
+      return { error: err.message };
     }
 
-    for (let i = 0; i < uncached.length; i++) {
-      const score = Math.max(0, Math.min(1, scores[i]));
-      const key = `${uncached[i].title}|${uncached[i].channel}|${preferences}`;
-      scoreCache.set(key, score);
-      results[uncachedIndices[i]] = score;
+    try {
+      if (!response.ok) {
+        const errText = await response.text();
+        await logError('API error', response.status, `[${model}] ${errText}`);
+        if (response.status !== 429) {
+          return { error: `API error ${response.status}` };
+        }
+        const outcome = await applyRateLimit(config.id, model, response, errText);
+        console.log(`[YT-Control BG] 429 on ${model} (${outcome}), attempt ${attempt}/${MAX_RATE_LIMIT_ATTEMPTS}`);
+        continue;
+      }
+
+      const json = await response.json();
+      const text = config.adapter.extractText(json);
+      recordTokens(config, model, json, prompt, text, estimated);
+
+      if (!text) {
+        return { error: `Empty response from ${config.adapter.label}` };
+      }
+
+      const items = parseScoreItems(text, batch);
+      items.forEach(({ details }) => {
+        // No rewrite given is an answer too — an empty one, so the cache check doesn't ask again
+        if (declickbait && details.rewrite === undefined) details.rewrite = '';
+        if (categories.length && !categories.includes(details.category)) details.category = OTHER_CATEGORY;
+      });
+      return { items };
+
+    } catch (err) {
+      await logError('Parse error', null, err.message);
+      return { error: err.message };
     }
+  }
 
-    return { scores: results };
+  return { error: `API error 429 (rate-limited ${MAX_RATE_LIMIT_ATTEMPTS} times)` };
+}
 
+// Pull {id, score, reason, matched, violated, rewrite?, category?} entries out of a model reply. Tolerates code fences,
+// prose around the JSON, a bare array, and missing/extra/duplicate entries —
+// only entries for IDs we asked about with a numeric score are kept.
+function parseScoreItems(text, batch) {
+  const cleaned = text.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
   } catch (err) {
-    await logError('Parse error', null, err.message);
-    return { error: err.message };
+    const match = cleaned.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw err;
+    parsed = JSON.parse(match[0]);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.scores;
+  if (!Array.isArray(entries)) {
+    throw new Error('Response has no scores array');
   }
+
+  const wanted = new Set(batch.map(item => item.id));
+  const items = new Map();
+  let extra = 0;
+  for (const entry of entries) {
+    const id = entry && String(entry.id);
+    const score = Number(entry?.score);
+    if (!wanted.has(id) || items.has(id) || !Number.isFinite(score)) {
+      extra++;
+      continue;
+    }
+    const details = {
+      reason: typeof entry.reason === 'string' ? entry.reason.substring(0, 200) : '',
+      matched: toClauseList(entry.matched),
+      violated: toClauseList(entry.violated),
+    };
+    if (typeof entry.rewrite === 'string') details.rewrite = entry.rewrite.trim().substring(0, 150);
+    if (typeof entry.category === 'string') details.category = normalizeCategory(entry.category);
+    items.set(id, { score: Math.max(0, Math.min(1, score)), details });
+  }
+  if (extra > 0) {
+    console.log(`[YT-Control BG] Ignored ${extra} unknown, duplicate or invalid entries`);
+  }
+  return items;
+}
+
+// Keep clause lists short — they only feed the badge card
+function toClauseList(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(clause => typeof clause === 'string' && clause.trim())
+    .slice(0, 5)
+    .map(clause => clause.trim().substring(0, 60));
 }
 
 console.log('[YT-Control BG] Background service worker loaded.');
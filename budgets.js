@@ -0,0 +1,88 @@
+// YouTube Algorithm Control - Watch-Time Budgets
+// Daily time limits per category of watched video. Loaded by background.js
+// (which totals the time and decides what's over budget), popup.html (which
+// edits budgets and shows progress), options.html (settings import) and the
+// content scripts (watchtime.js tracks the time and enforces).
+//
+// Stored as `watchBudgets` in chrome.storage.local:
+//   { enforcement: 'off' | 'soft' | 'hard', budgets: [{ category: 'entertainment', minutes: 30 }] }
+// Categories are free labels the scorer picks from when it scores a watched
+// video; 'low-score' is built in and counts videos the filter would dim or hide.
+// Soft enforcement raises strictness one step per category over budget; hard
+// enforcement blocks watch pages of over-budget categories behind an interstitial.
+// Per-day totals live in the usage stats (stats.days[day].watchTime, seconds).
+
+const LOW_SCORE_CATEGORY = 'low-score';
+const OTHER_CATEGORY = 'other';
+const BUDGET_DEFAULTS = { enforcement: 'soft', budgets: [] };
+
+function normalizeCategory(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 40);
+}
+
+// "30 min entertainment" / "1h gaming/day" / "1:30 news" → { category, minutes }
+function parseBudgetLine(line) {
+  const match = line.trim().match(/^(\d+(?:[.,]\d+)?|\d+:\d{2})\s*(h|hr|hours?|m|min|mins|minutes?)?\s+(.+?)(?:\s*(?:\/|per|a)\s*day)?$/i);
+  if (!match) return null;
+  let minutes;
+  if (match[1].includes(':')) {
+    const [hours, mins] = match[1].split(':').map(Number);
+    minutes = hours * 60 + mins;
+  } else {
+    minutes = Number(match[1].replace(',', '.')) * (/^h/i.test(match[2] || '') ? 60 : 1);
+  }
+  const category = normalizeCategory(match[3]);
+  if (!category || !(minutes > 0) || category === OTHER_CATEGORY) return null;
+  return { category, minutes: Math.round(minutes) };
+}
+
+// One budget per line. Throws on a line it can't read so the popup can say which.
+function parseBudgets(text) {
+  const budgets = [];
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const budget = parseBudgetLine(line);
+    if (!budget) throw new Error(`Couldn't read "${line}" — use e.g. "30 min entertainment"`);
+    // A repeated category keeps its last limit
+    const existing = budgets.findIndex(b => b.category === budget.category);
+    if (existing >= 0) budgets[existing] = budget;
+    else budgets.push(budget);
+  });
+  return budgets;
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest ? `${Math.floor(minutes / 60)} h ${rest} min` : `${minutes / 60} h`;
+}
+
+function formatBudgets(budgets = []) {
+  return budgets.map(b => `${b.minutes} min ${b.category}`).join('\n');
+}
+
+// Stored or imported value → a valid watchBudgets object
+function normalizeBudgets(value) {
+  const source = value && typeof value === 'object' ? value : {};
+  const budgets = (Array.isArray(source.budgets) ? source.budgets : [])
+    .filter(b => b && typeof b.category === 'string' && Number.isFinite(b.minutes) && b.minutes > 0)
+    .map(b => ({ category: normalizeCategory(b.category), minutes: Math.round(b.minutes) }))
+    .filter(b => b.category && b.category !== OTHER_CATEGORY);
+  return {
+    enforcement: ['off', 'soft', 'hard'].includes(source.enforcement) ? source.enforcement : BUDGET_DEFAULTS.enforcement,
+    budgets,
+  };
+}
+
+// Categories the scorer is asked to choose from (low-score comes from the score itself)
+function scorerCategories(watchBudgets) {
+  return normalizeBudgets(watchBudgets).budgets
+    .map(b => b.category)
+    .filter(category => category !== LOW_SCORE_CATEGORY);
+}
+
+// Budgeted categories whose time today ({ category: seconds }) is used up
+function overBudgetCategories(watchBudgets, watchTime = {}) {
+  return normalizeBudgets(watchBudgets).budgets
+    .filter(b => (watchTime[b.category] || 0) >= b.minutes * 60)
+    .map(b => b.category);
+}
@@ -4,6 +4,22 @@
 // Phase 3: Send videos to background script for LLM scoring
 // Phase 4: Visual filtering — hide/dim low-scoring videos
 // Phase 5: Strictness slider, performance (only score new videos, instant re-filter)
+// Phase 6: Surfaces — search results, watch-page sidebar and channel pages
+// Phase 7: Hide mode — collapse videos below the hide threshold, per-section reveal bar
+// Phase 8: "Why this score?" card on the badge, with always show / always hide overrides
+// Phase 9: Deterministic rules (rules.js) decide videos before the LLM sees them
+// Phase 10: Steer mode (steer.js) — tell YouTube "Not interested" for low scorers
+// Phase 11: 👍/👎 feedback on scored tiles, fed back to the scorer as examples
+// Phase 12: Viewport priority — on-screen tiles are scored first by the shared background queue
+// Phase 13: Offline estimates — provisional scores while the LLM is down, upgraded when it's back
+// Phase 14: End screen tiles are filtered; autoplay.js vets the autoplay-next video
+// Phase 15: Shorts are scored like other videos; shorts.js hides shelves and vets the Shorts player
+// Phase 16: Snooze pauses filtering for a while; the hidden count feeds the toolbar badge
+// Phase 17: State is kept per video ID, so recycled tiles and SPA navigations rescore correctly
+// Phase 18: Layered parsers fall back to older selectors and renderer data; health.js flags layout changes
+// Phase 19: De-clickbait mode (declickbait.js) shows the model's plain rewrite of each title
+// Phase 20: watchtime.js tracks time watched per category against daily budgets
+// Phase 21: Top scorers are saved to a "worth watching" list; shelf.js shows the best on the home feed
 
 // Strictness → threshold mapping
 const STRICTNESS_MAP = {
@@ -16,26 +32,53 @@ const STRICTNESS_MAP = {
 
 // Current state — updated from storage
 let currentPreferences = '';
-let filteringEnabled = true;
+let filteringEnabled = true; // the `enabled` toggle, unless a snooze is running
+let settingEnabled = true;
+let snoozeUntil = 0;
 let currentStrictness = 3;
-let scoringInProgress = false;
+let enabledSurfaces = {}; // surface name → false when turned off in the popup
+let hideMode = 'hide'; // 'hide' collapses videos below the hide threshold, 'dim' only fades them
+let overrides = {}; // video ID → 'show' | 'hide', set from the badge card
+let compiledRules = compileRules(); // see rules.js
 let lastErrorTime = 0;
 const ERROR_COOLDOWN = 15000; // Wait 15s before retrying after an error
+const MISSING_RETRY_DELAY = 5000; // Re-ask for videos the model left out of its answer
+let missingRetryTimer = null;
+const PROVISIONAL_RETRY_DELAY = 60000; // ask the LLM again for offline estimates
+let provisionalRetryTimer = null;
 
-// Score map: DOM element → score (for instant re-filter on strictness change)
-const scoreMap = new WeakMap();
+// Video state: tile key → { score, details, rule, provisional }. Keyed on the
+// video, not the element — YouTube recycles tile elements for other videos on
+// navigation and feed refreshes, and the same video can show up in two places.
+// The tile key is the video ID, or the title for tiles without a link.
+// Kept in least-recently-scored order and capped (see setVideoState) so a long
+// session doesn't grow it without bound; the background cache still has the
+// scores of evicted videos.
+const videoState = new Map();
+const VIDEO_STATE_MAX = 2000;
+// Votes cast on this page: video ID → 'up' | 'down'
+const votes = new Map();
+// Tile keys with a scoreVideos request outstanding
+const inFlightKeys = new Set();
 
 // Load initial settings
-chrome.storage.local.get(['preferences', 'enabled', 'strictness'], (data) => {
+chrome.storage.local.get(['preferences', 'enabled', 'snoozeUntil', 'strictness', 'surfaces', 'hideMode', 'overrides', 'rules'], (data) => {
   currentPreferences = data.preferences || '';
-  filteringEnabled = data.enabled !== false;
+  settingEnabled = data.enabled !== false;
+  snoozeUntil = data.snoozeUntil || 0;
+  filteringEnabled = settingEnabled && snoozeUntil <= Date.now();
   currentStrictness = data.strictness || 3;
+  enabledSurfaces = data.surfaces || {};
+  hideMode = data.hideMode || 'hide';
+  overrides = data.overrides || {};
+  compiledRules = compileRules(data.rules);
   console.log(`[YT-Control] Preferences: "${currentPreferences || '(none set)'}"`);
-  console.log(`[YT-Control] Filtering: ${filteringEnabled ? 'ON' : 'OFF'}, Strictness: ${currentStrictness}`);
+  console.log(`[YT-Control] Filtering: ${filteringEnabled ? 'ON' : 'OFF'}, Strictness: ${currentStrictness}, Mode: ${hideMode}`);
 });
 
 // Listen for changes from the popup
-chrome.storage.onChanged.addListener((changes) => {
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
   if (changes.preferences) {
     currentPreferences = changes.preferences.newValue || '';
     console.log(`[YT-Control] Preferences updated: "${currentPreferences}"`);
@@ -44,9 +87,12 @@ chrome.storage.onChanged.addListener((changes) => {
     resetAllFilters();
     processVideos();
   }
-  if (changes.enabled) {
-    filteringEnabled = changes.enabled.newValue !== false;
-    console.log(`[YT-Control] Filtering ${filteringEnabled ? 'ON' : 'OFF'}`);
+  if (changes.enabled || changes.snoozeUntil) {
+    if (changes.enabled) settingEnabled = changes.enabled.newValue !== false;
+    if (changes.snoozeUntil) snoozeUntil = changes.snoozeUntil.newValue || 0;
+    // The background clears snoozeUntil when the snooze runs out
+    filteringEnabled = settingEnabled && snoozeUntil <= Date.now();
+    console.log(`[YT-Control] Filtering ${filteringEnabled ? 'ON' : snoozeUntil > Date.now() ? 'PAUSED' : 'OFF'}`);
     if (filteringEnabled) {
       processVideos();
     } else {
@@ -59,60 +105,392 @@ chrome.storage.onChanged.addListener((changes) => {
     // Re-apply filters from cached scores — no API call needed
     reapplyFilters();
   }
+  if (changes.surfaces) {
+    enabledSurfaces = changes.surfaces.newValue || {};
+    console.log('[YT-Control] Surfaces changed:', enabledSurfaces);
+    // Strip filters from surfaces that were turned off, restore the rest
+    resetAllFilters();
+    reapplyFilters();
+    processVideos();
+  }
+  if (changes.hideMode) {
+    hideMode = changes.hideMode.newValue || 'hide';
+    console.log(`[YT-Control] Hide mode changed to ${hideMode}`);
+    reapplyFilters();
+  }
+  if (changes.overrides) {
+    overrides = changes.overrides.newValue || {};
+    // Overrides can both add and remove filter state — start from a clean slate
+    resetAllFilters();
+    reapplyFilters();
+    processVideos();
+  }
+  if (changes.rules) {
+    compiledRules = compileRules(changes.rules.newValue);
+    console.log('[YT-Control] Rules updated');
+    // Re-run rules over everything; LLM scores come back from the background cache
+    clearScoredState();
+    resetAllFilters();
+    processVideos();
+  }
 });
 
+// Surfaces: each YouTube page type has its own tile markup. Every surface
+// feeds the same processVideos() → scoreVideos → applyFilter() pipeline.
+const SURFACES = {
+  home: {
+    selector: 'ytd-rich-item-renderer',
+    matchesPage: (path) => path === '/',
+    parse: parseLockup,
+  },
+  search: {
+    // Shorts come as /shorts/ video renderers or in their own shelves
+    selector: 'ytd-video-renderer, ytd-reel-shelf-renderer ytm-shorts-lockup-view-model, grid-shelf-view-model ytm-shorts-lockup-view-model',
+    matchesPage: (path) => path === '/results',
+    parse: (item) => item.matches('ytm-shorts-lockup-view-model')
+      ? parseShortsLockup(item)
+      : parseVideoRenderer(item),
+  },
+  watch: {
+    // New sidebar uses bare lockups; older layouts still ship compact renderers
+    selector: '#secondary yt-lockup-view-model, #secondary ytd-compact-video-renderer',
+    matchesPage: (path) => path === '/watch',
+    parse: (item) => item.matches('ytd-compact-video-renderer')
+      ? parseVideoRenderer(item)
+      : parseLockup(item),
+  },
+  channel: {
+    selector: 'ytd-rich-item-renderer, ytd-grid-video-renderer, ytd-playlist-video-renderer',
+    matchesPage: (path) => /^\/(@|channel\/|c\/|user\/|playlist)/.test(path),
+    parse: (item) => item.matches('ytd-rich-item-renderer')
+      ? parseLockup(item)
+      : parseVideoRenderer(item),
+  },
+  endscreen: {
+    // The wall of suggestions the player shows when a video ends
+    selector: '.ytp-videowall-still, .ytp-modern-videowall-still',
+    matchesPage: (path) => path === '/watch',
+    parse: parseEndscreenTile,
+  },
+};
+
+// Every tile selector we know about (used when resetting, regardless of surface)
+const ALL_TILES_SELECTOR = [...new Set(
+  Object.values(SURFACES).flatMap(s => s.selector.split(',').map(part => part.trim()))
+)].join(', ');
+
+// Surfaces that apply to the current page and are enabled in the popup
+function getActiveSurfaces() {
+  const path = location.pathname;
+  return Object.entries(SURFACES)
+    .filter(([name, surface]) => enabledSurfaces[name] !== false && surface.matchesPage(path))
+    .map(([name, surface]) => ({ name, ...surface }));
+}
+
+// All tiles on the current page belonging to an active surface
+function getActiveTiles() {
+  const tiles = [];
+  getActiveSurfaces().forEach(surface => {
+    document.querySelectorAll(surface.selector).forEach(item => {
+      tiles.push({ item, surface });
+    });
+  });
+  return tiles;
+}
+
+// Re-parse a single tile with the parser of the surface it was found on
+function parseVideoData(element) {
+  const surface = SURFACES[element.dataset.ytcSurface];
+  return surface ? surface.parse(element) : null;
+}
+
 function extractVideoData() {
-  const items = document.querySelectorAll('ytd-rich-item-renderer');
   const videos = [];
+  // page-data.js (page world) copies each tile's renderer data onto the element
+  // synchronously, so the parsers below can fall back to it
+  document.dispatchEvent(new CustomEvent('ytc-page-data-request'));
 
-  items.forEach(item => {
-    const video = parseVideoElement(item);
-    if (video) videos.push(video);
+  const tiles = getActiveTiles();
+  tiles.forEach(({ item, surface }) => {
+    const video = surface.parse(item);
+    if (video) {
+      const key = video.videoId || `title:${video.title}`;
+      // Same element, different video: drop what the tile shows for the old one
+      if (item.dataset.ytcKey && item.dataset.ytcKey !== key) resetTile(item);
+      video.surface = surface.name;
+      item.dataset.ytcSurface = surface.name;
+      item.dataset.ytcVideoId = video.videoId || '';
+      item.dataset.ytcKey = key;
+      observeVisibility(item);
+      videos.push(video);
+    }
   });
 
+  checkParserHealth(tiles, videos); // see health.js
   return videos;
 }
 
-function parseVideoElement(item) {
-  // Skip Shorts — they use shortsLockupViewModelHostEndpoint links
-  if (item.querySelector('[class*="shortsLockupViewModelHost"]')) {
+function tileKey(element) {
+  return element.dataset.ytcKey;
+}
+
+// Score of the video a tile currently shows, or undefined
+function getScore(element) {
+  return videoState.get(tileKey(element))?.score;
+}
+
+// Record a video's state as the most recent. Over the cap, the oldest entries
+// go first — down to 90% so eviction doesn't run on every score — skipping
+// videos still on the page.
+function setVideoState(key, state) {
+  videoState.delete(key);
+  videoState.set(key, state);
+  if (videoState.size <= VIDEO_STATE_MAX) return;
+  const onPage = new Set([...document.querySelectorAll('[data-ytc-key]')].map(tileKey));
+  for (const oldKey of videoState.keys()) {
+    if (videoState.size <= VIDEO_STATE_MAX * 0.9) break;
+    if (!onPage.has(oldKey)) videoState.delete(oldKey);
+  }
+}
+
+// Every tile currently showing the video with this key
+function tilesFor(key) {
+  return document.querySelectorAll(`[data-ytc-key="${CSS.escape(key)}"]`);
+}
+
+// Mirror a video's state onto a tile's data attributes (used by selectors here
+// and in autoplay.js)
+function markTile(element, state) {
+  element.dataset.ytcScored = '1';
+  if (state.rule) element.dataset.ytcRule = state.rule;
+  else delete element.dataset.ytcRule;
+  if (state.provisional) element.dataset.ytcProvisional = '1';
+  else delete element.dataset.ytcProvisional;
+}
+
+// Whether a tile we've keyed now links to a different video. Cheap enough for
+// the MutationObserver: one querySelector, no full parse.
+function tileChanged(element) {
+  if (!element.dataset.ytcKey) return false;
+  const link = element.matches('a[href]')
+    ? element
+    : element.querySelector('a[href*="/watch?v="], a[href*="/shorts/"]');
+  const videoId = link ? getVideoId(link.href) : null;
+  return !!videoId && videoId !== element.dataset.ytcVideoId;
+}
+
+// Video ID from a watch or Shorts URL (stable cache key across sessions)
+function getVideoId(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url, location.origin);
+    if (parsed.pathname === '/watch') return parsed.searchParams.get('v');
+    const shorts = parsed.pathname.match(/^\/shorts\/([\w-]+)/);
+    return shorts ? shorts[1] : null;
+  } catch {
     return null;
   }
+}
 
-  // Title: lives in h3 > a inside the new yt-lockup-view-model components
-  const titleEl = item.querySelector('h3 a');
-  const title = titleEl ? titleEl.textContent.trim() : null;
+// Layered parsing: every field has an ordered list of selectors, current
+// layout first, older ones after. The first selector that matches wins. Fields
+// none of them find are taken from the renderer's own data object, which
+// page-data.js copies into data-ytc-page-data; health.js counts both cases.
+const LOCKUP_SELECTORS = {
+  title: ['h3 a', 'a.yt-lockup-metadata-view-model__title', '.yt-lockup-metadata-view-model-wiz__title', 'a#video-title-link'],
+  link: ['h3 a', 'a.yt-lockup-metadata-view-model__title', 'a.yt-lockup-view-model__content-image', 'a[href*="/watch?v="]'],
+  metadata: ['yt-content-metadata-view-model', '.yt-content-metadata-view-model-wiz', '.yt-lockup-metadata-view-model__metadata'],
+  metaRow: ['.yt-content-metadata-view-model__metadata-row', '.yt-content-metadata-view-model-wiz__metadata-row'],
+  metaText: ['span.yt-content-metadata-view-model__metadata-text', 'span.yt-content-metadata-view-model-wiz__metadata-text', 'span[role="text"]'],
+  thumbnail: ['yt-thumbnail-view-model img', '.yt-lockup-view-model__content-image img', 'img'],
+  duration: [
+    'yt-thumbnail-bottom-overlay-view-model .yt-badge-shape__text',
+    'yt-thumbnail-overlay-badge-view-model .yt-badge-shape__text',
+    '.yt-thumbnail-overlay-badge-view-model-wiz .badge-shape-wiz__text',
+  ],
+};
 
-  if (!title) return null;
+const RENDERER_SELECTORS = {
+  title: ['#video-title', 'a#video-title-link', 'h3 a'],
+  link: ['a#thumbnail', 'a[href*="/watch?v="]', 'a[href*="/shorts/"]'],
+  channel: ['ytd-channel-name #text', '#channel-name #text', '#byline-container a', '#byline a'],
+  // Channel pages don't repeat the channel name on every tile
+  pageChannel: ['#page-header yt-dynamic-text-view-model h1', 'ytd-c4-tabbed-header-renderer ytd-channel-name #text'],
+  thumbnail: ['ytd-thumbnail img', 'yt-thumbnail-view-model img'],
+  duration: [
+    'ytd-thumbnail-overlay-time-status-renderer .badge-shape-wiz__text',
+    'ytd-thumbnail-overlay-time-status-renderer .yt-badge-shape__text',
+    'ytd-thumbnail-overlay-time-status-renderer #text',
+    'yt-thumbnail-overlay-badge-view-model .yt-badge-shape__text',
+  ],
+  metaText: ['#metadata-line span, #video-info span', '.inline-metadata-item'],
+};
+
+const SHORTS_SELECTORS = {
+  title: ['.shortsLockupViewModelHostMetadataTitle', '.shortsLockupViewModelHostOutsideMetadataTitle', 'h3'],
+  link: ['a.shortsLockupViewModelHostEndpoint', 'a[href*="/shorts/"]'],
+  meta: ['.shortsLockupViewModelHostMetadataSubhead', '.shortsLockupViewModelHostOutsideMetadataSubhead'],
+};
+
+// The fields the renderer's data object can fill in
+const PAGE_DATA_FIELDS = ['videoId', 'title', 'channel', 'duration', 'meta'];
+
+function pickElement(root, selectors) {
+  for (const selector of selectors) {
+    const found = root.querySelector(selector);
+    if (found) return found;
+  }
+  return null;
+}
+
+function pickAll(root, selectors) {
+  for (const selector of selectors) {
+    const found = root.querySelectorAll(selector);
+    if (found.length > 0) return [...found];
+  }
+  return [];
+}
 
-  // Video URL from the same h3 a element
-  const url = titleEl ? titleEl.href : null;
+// What page-data.js found in the tile's renderer data, or {}
+function readPageData(item) {
+  try {
+    return JSON.parse(item.dataset.ytcPageData || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Fill the fields the selectors missed from the renderer data, then derive
+// the metadata fields. Null when there's still no title to score.
+function completeVideo(item, fields) {
+  const pageData = readPageData(item);
+  const fromPageData = [];
+  PAGE_DATA_FIELDS.forEach(field => {
+    if (!fields[field] && pageData[field]) {
+      fields[field] = pageData[field];
+      fromPageData.push(field);
+    }
+  });
+  if (!fields.title) return null;
+  if (!fields.url && fields.videoId) {
+    fields.url = `${location.origin}/${fields.short ? `shorts/${fields.videoId}` : `watch?v=${fields.videoId}`}`;
+  }
+  return { ...fields, meta: fields.meta || '', ...parseMeta(fields.meta), fromPageData, element: item };
+}
+
+// Parser for the yt-lockup-view-model based tiles (home grid, channel grid, watch sidebar)
+function parseLockup(item) {
+  // Shorts in the home grid use their own lockup
+  if (item.querySelector('[class*="shortsLockupViewModelHost"]')) {
+    return parseShortsLockup(item);
+  }
+
+  // originalTitle(): a title declickbait.js rewrote still parses as YouTube's
+  const titleEl = pickElement(item, LOCKUP_SELECTORS.title);
+  const title = titleEl ? originalTitle(titleEl) || titleEl.textContent.trim() || null : null;
+  const linkEl = pickElement(item, LOCKUP_SELECTORS.link);
+  const url = linkEl ? linkEl.href : null;
 
-  // Channel name: inside yt-content-metadata-view-model > a
-  const metaModel = item.querySelector('yt-content-metadata-view-model');
+  // Channel name: the link in the metadata block. The watch sidebar doesn't
+  // link the channel, so fall back to the first metadata row.
+  const metaModel = pickElement(item, LOCKUP_SELECTORS.metadata);
   const channelLink = metaModel ? metaModel.querySelector('a') : null;
-  const channel = channelLink ? channelLink.textContent.trim() : null;
+  const metaRows = metaModel ? pickAll(metaModel, LOCKUP_SELECTORS.metaRow) : [];
+  let channel = channelLink ? channelLink.textContent.trim() || null : null;
+  if (!channel && metaRows.length > 1) {
+    channel = metaRows[0].textContent.trim() || null;
+  }
 
-  // Thumbnail image
-  const thumbImg = item.querySelector('yt-thumbnail-view-model img');
-  const thumbnail = thumbImg ? thumbImg.src : null;
+  const thumbImg = pickElement(item, LOCKUP_SELECTORS.thumbnail);
+  const thumbnail = thumbImg ? thumbImg.src || null : null;
 
   // Duration badge: inside the bottom overlay
-  const durationEl = item.querySelector(
-    'yt-thumbnail-bottom-overlay-view-model .yt-badge-shape__text'
-  );
-  const duration = durationEl ? durationEl.textContent.trim() : null;
-
-  // Metadata (views, time ago): spans in yt-content-metadata-view-model
-  const metaSpans = metaModel
-    ? [...metaModel.querySelectorAll(
-        'span.yt-content-metadata-view-model__metadata-text'
-      )]
-    : [];
-  const meta = metaSpans.map(s => s.textContent.trim()).filter(Boolean).join(' · ');
+  const durationEl = pickElement(item, LOCKUP_SELECTORS.duration);
+  const duration = durationEl ? durationEl.textContent.trim() || null : null;
+
+  // Metadata (views, time ago): the metadata spans other than the channel
+  const metaSpans = metaModel ? pickAll(metaModel, LOCKUP_SELECTORS.metaText) : [];
+  const meta = metaSpans
+    .map(s => s.textContent.trim())
+    .filter(text => text && text !== channel)
+    .join(' · ');
 
   // Return the DOM element too so we can apply visual filters
-  return { title, channel, url, thumbnail, duration, meta, element: item };
+  return completeVideo(item, { videoId: getVideoId(url), title, channel, url, thumbnail, duration, meta });
+}
+
+// Parser for the older ytd-*-video-renderer tiles (search results, compact
+// sidebar items, channel grid and playlist rows)
+function parseVideoRenderer(item) {
+  const titleEl = pickElement(item, RENDERER_SELECTORS.title);
+  const title = titleEl
+    ? originalTitle(titleEl) || (titleEl.getAttribute('title') || titleEl.textContent).trim() || null
+    : null;
+
+  // Search/grid renderers link the title; compact renderers link the thumbnail
+  const linkEl = (titleEl && titleEl.closest('a')) || pickElement(item, RENDERER_SELECTORS.link);
+  const url = linkEl ? linkEl.href : null;
+
+  // Shorts show up in search results too; shorts.js decides whether we score them
+  const short = !!url && url.includes('/shorts/');
+  if (short && !shouldScoreShorts()) return null;
+
+  const channelEl = pickElement(item, RENDERER_SELECTORS.channel)
+    || pickElement(document, RENDERER_SELECTORS.pageChannel);
+  const channel = channelEl ? channelEl.textContent.trim() || null : null;
+
+  const thumbImg = pickElement(item, RENDERER_SELECTORS.thumbnail);
+  const thumbnail = thumbImg ? thumbImg.src || null : null;
+
+  const durationEl = pickElement(item, RENDERER_SELECTORS.duration);
+  const duration = durationEl ? durationEl.textContent.trim() || null : null;
+
+  const metaSpans = pickAll(item, RENDERER_SELECTORS.metaText);
+  const meta = metaSpans.map(s => s.textContent.trim()).filter(Boolean).join(' · ');
+
+  return completeVideo(item, { videoId: getVideoId(url), title, channel, url, thumbnail, duration, meta, short });
+}
+
+// Parser for Shorts lockups (home grid and search shelves). They only carry a
+// title, a /shorts/ link and a view count — no channel, duration or age.
+function parseShortsLockup(item) {
+  if (!shouldScoreShorts()) return null;
+
+  const titleEl = pickElement(item, SHORTS_SELECTORS.title);
+  const title = titleEl ? originalTitle(titleEl) || titleEl.textContent.trim() || null : null;
+
+  const linkEl = pickElement(item, SHORTS_SELECTORS.link);
+  const url = linkEl ? linkEl.href : null;
+
+  const thumbImg = item.querySelector('img');
+  const thumbnail = thumbImg ? thumbImg.src || null : null;
+
+  const metaEl = pickElement(item, SHORTS_SELECTORS.meta);
+  const meta = metaEl ? metaEl.textContent.trim() : '';
+
+  return completeVideo(item, { videoId: getVideoId(url), title, channel: null, url, thumbnail, duration: null, meta, short: true });
+}
+
+// Parser for the player's end-screen wall. The author line carries
+// "Channel • 1.2M views"; the thumbnail is a CSS background.
+function parseEndscreenTile(item) {
+  const titleEl = item.querySelector('.ytp-videowall-still-info-title, .ytp-modern-videowall-still-info-title');
+  const title = titleEl ? originalTitle(titleEl) || titleEl.textContent.trim() : null;
+  if (!title) return null;
+
+  const url = item.href || null;
+  const authorEl = item.querySelector('.ytp-videowall-still-info-author, .ytp-modern-videowall-still-info-author');
+  const [channel, ...rest] = (authorEl ? authorEl.textContent : '').split('•').map(s => s.trim());
+  const meta = rest.filter(Boolean).join(' · ');
+
+  const durationEl = item.querySelector('.ytp-videowall-still-info-duration, .ytp-modern-videowall-still-info-duration');
+  const duration = durationEl ? durationEl.textContent.trim() || null : null;
+
+  const image = item.querySelector('.ytp-videowall-still-image, .ytp-modern-videowall-still-image');
+  const thumbnail = image ? (image.style.backgroundImage.match(/url\("?(.*?)"?\)/) || [])[1] || null : null;
+
+  const videoId = getVideoId(url);
+  return { videoId, title, channel: channel || null, url, thumbnail, duration, meta, ...parseMeta(meta), element: item };
 }
 
 // Inject CSS for spinner overlay once
@@ -145,19 +523,237 @@ style.textContent = `
     justify-content: center;
     padding: 0 6px;
     z-index: 100;
-    pointer-events: none;
+    cursor: pointer;
     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
   }
+  .ytc-badge.provisional {
+    outline: 2px dashed rgba(255,255,255,0.9);
+    outline-offset: -4px;
+    font-style: italic;
+  }
+  .ytc-votes {
+    position: absolute;
+    top: 36px;
+    right: 8px;
+    display: none;
+    flex-direction: column;
+    gap: 4px;
+    z-index: 100;
+  }
+  yt-thumbnail-view-model:hover .ytc-votes,
+  ytd-thumbnail:hover .ytc-votes,
+  .ytc-votes.voted {
+    display: flex;
+  }
+  .ytc-votes button {
+    width: 24px;
+    height: 24px;
+    padding: 0;
+    border: none;
+    border-radius: 12px;
+    background: rgba(0,0,0,0.65);
+    font-size: 12px;
+    cursor: pointer;
+  }
+  .ytc-votes.voted button:not(.active) { display: none; }
+  .ytc-votes button.active { background: rgba(255,255,255,0.9); }
+  .ytc-card {
+    position: absolute;
+    width: 260px;
+    padding: 10px 12px;
+    border-radius: 8px;
+    background: #212121;
+    color: #fff;
+    box-shadow: 0 4px 16px rgba(0,0,0,0.35);
+    font-size: 12px;
+    line-height: 1.4;
+    z-index: 10000;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .ytc-card-title { font-weight: 700; margin-bottom: 4px; }
+  .ytc-card-reason { color: #ddd; margin-bottom: 6px; }
+  .ytc-card-clauses { display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 6px; }
+  .ytc-chip {
+    padding: 1px 6px;
+    border-radius: 8px;
+    font-size: 11px;
+  }
+  .ytc-chip.match { background: rgba(0,180,0,0.35); }
+  .ytc-chip.violate { background: rgba(200,0,0,0.45); }
+  .ytc-card-actions { display: flex; gap: 6px; margin-top: 8px; }
+  .ytc-card-actions button {
+    flex: 1;
+    padding: 4px 6px;
+    border: 1px solid #555;
+    border-radius: 6px;
+    background: #333;
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+  }
+  .ytc-card-actions button:hover { background: #444; }
+  .ytc-card-actions button.active { border-color: #fff; background: #555; }
+  .ytc-card-actions button:disabled { opacity: 0.4; cursor: default; }
+  .ytc-card-actions + .ytc-card-actions { margin-top: 4px; }
+  .ytc-rewritten { text-decoration: underline dotted rgba(128,128,128,0.6); text-underline-offset: 3px; }
+  .ytc-hidden-bar {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    width: 100%;
+    flex-basis: 100%;
+    box-sizing: border-box;
+    margin: 4px 0 12px;
+    padding: 6px 12px;
+    border-radius: 8px;
+    background: var(--yt-spec-badge-chip-background, rgba(0,0,0,0.05));
+    color: var(--yt-spec-text-secondary, #606060);
+    font-size: 12px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .ytc-hidden-bar button {
+    border: none;
+    background: none;
+    padding: 0;
+    color: var(--yt-spec-call-to-action, #065fd4);
+    font: inherit;
+    font-weight: 600;
+    cursor: pointer;
+  }
+  /* Old rich grid layout wraps items in fixed rows — flatten them so hidden
+     items don't leave holes in a row */
+  ytd-rich-grid-renderer.ytc-collapse ytd-rich-grid-row,
+  ytd-rich-grid-renderer.ytc-collapse ytd-rich-grid-row > #contents {
+    display: contents;
+  }
+  /* Shorts policy (shorts.js): shelves and stray Shorts tiles disappear entirely */
+  html.ytc-hide-shorts ytd-rich-section-renderer:has(ytd-rich-shelf-renderer[is-shorts]),
+  html.ytc-hide-shorts ytd-rich-shelf-renderer[is-shorts],
+  html.ytc-hide-shorts ytd-reel-shelf-renderer,
+  html.ytc-hide-shorts grid-shelf-view-model:has(ytm-shorts-lockup-view-model),
+  html.ytc-hide-shorts ytd-rich-item-renderer:has([class*="shortsLockupViewModelHost"]),
+  html.ytc-hide-shorts ytd-video-renderer:has(a[href^="/shorts/"]) {
+    display: none !important;
+  }
+  .ytc-shorts-block {
+    position: absolute;
+    inset: 0;
+    z-index: 1000;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: 12px;
+    padding: 24px;
+    border-radius: 12px;
+    background: rgba(0,0,0,0.92);
+    color: #fff;
+    text-align: center;
+    font-size: 14px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .ytc-shorts-block .ytc-shorts-reason { color: #aaa; font-size: 12px; }
+  .ytc-shorts-block button {
+    padding: 6px 14px;
+    border: 1px solid #555;
+    border-radius: 16px;
+    background: #333;
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+  }
+  .ytc-shorts-block button:hover { background: #444; }
+  .ytc-budget-block {
+    position: fixed;
+    inset: 0;
+    z-index: 10000;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: 12px;
+    background: rgba(15,15,15,0.97);
+    color: #fff;
+    text-align: center;
+    font-size: 15px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .ytc-budget-block .ytc-budget-title { font-size: 22px; font-weight: 700; }
+  .ytc-budget-block .ytc-budget-reason { color: #aaa; }
+  .ytc-budget-block button {
+    margin: 0 4px;
+    padding: 8px 16px;
+    border: 1px solid #555;
+    border-radius: 18px;
+    background: #333;
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+  }
+  .ytc-budget-block button:hover { background: #444; }
+  .ytc-shelf {
+    width: 100%;
+    margin: 0 8px 24px;
+    font-family: Roboto, Arial, sans-serif;
+    color: var(--yt-spec-text-primary, #0f0f0f);
+  }
+  .ytc-shelf-header {
+    display: flex;
+    align-items: baseline;
+    gap: 12px;
+    margin-bottom: 12px;
+    font-size: 20px;
+    font-weight: 700;
+  }
+  .ytc-shelf-all { font-size: 14px; font-weight: 500; color: var(--yt-spec-call-to-action, #065fd4); cursor: pointer; }
+  .ytc-shelf-row { display: grid; grid-template-columns: repeat(6, minmax(0, 1fr)); gap: 12px; }
+  .ytc-shelf-card a { display: block; color: inherit; text-decoration: none; }
+  .ytc-shelf-card img { width: 100%; aspect-ratio: 16 / 9; object-fit: cover; border-radius: 8px; }
+  .ytc-shelf-title {
+    margin-top: 6px;
+    font-size: 14px;
+    font-weight: 500;
+    line-height: 20px;
+    display: -webkit-box;
+    -webkit-line-clamp: 2;
+    -webkit-box-orient: vertical;
+    overflow: hidden;
+  }
+  .ytc-shelf-meta {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 12px;
+    color: var(--yt-spec-text-secondary, #606060);
+  }
+  .ytc-shelf-meta span { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .ytc-shelf-meta button {
+    padding: 0 4px;
+    border: none;
+    background: none;
+    color: inherit;
+    font-size: 14px;
+    cursor: pointer;
+  }
+  .ytc-shelf-meta button:hover { color: var(--yt-spec-text-primary, #0f0f0f); }
   @keyframes ytc-spin {
     to { transform: rotate(360deg); }
   }
 `;
 document.head.appendChild(style);
 
+// Thumbnail container differs between lockup and ytd-*-renderer tiles
+function getThumbContainer(element) {
+  return element.querySelector(
+    'yt-thumbnail-view-model, ytd-thumbnail, .shortsLockupViewModelHostThumbnailContainer, ' +
+    '.ytp-videowall-still-image, .ytp-modern-videowall-still-image'
+  );
+}
+
 // Add spinner to a video's thumbnail area
 function addSpinner(element) {
   if (element.querySelector('.ytc-spinner')) return;
-  const thumb = element.querySelector('yt-thumbnail-view-model');
+  const thumb = getThumbContainer(element);
   if (!thumb) return;
   thumb.style.position = 'relative';
   const spinner = document.createElement('div');
@@ -165,10 +761,11 @@ function addSpinner(element) {
   thumb.appendChild(spinner);
 }
 
-// Replace spinner with score badge
+// Replace spinner with score badge (or the override marker)
 function replaceSpinnerWithBadge(element, score) {
-  const thumb = element.querySelector('yt-thumbnail-view-model');
+  const thumb = getThumbContainer(element);
   if (!thumb) return;
+  thumb.style.position = 'relative';
   // Remove spinner
   const spinner = thumb.querySelector('.ytc-spinner');
   if (spinner) spinner.remove();
@@ -178,13 +775,27 @@ function replaceSpinnerWithBadge(element, score) {
   // Add score badge
   const badge = document.createElement('div');
   badge.className = 'ytc-badge';
+  badge.title = 'Why this score?';
+  badge.addEventListener('click', handleBadgeClick);
+  badge.addEventListener('mouseenter', handleBadgeHoverIn);
+  badge.addEventListener('mouseleave', scheduleCardClose);
+  const override = getOverride(element);
   const pct = Math.round(score * 100);
-  badge.textContent = `${pct}%`;
+  // ⚑ marks scores decided by a rule, ~ offline estimates awaiting the LLM
+  badge.textContent = override === 'show' ? '✓ Always'
+    : override === 'hide' ? '✕ Never'
+    : element.dataset.ytcRule ? `⚑ ${pct}%`
+    : element.dataset.ytcProvisional ? `~${pct}%`
+    : `${pct}%`;
+  if (element.dataset.ytcProvisional && !override) {
+    badge.classList.add('provisional');
+    badge.title = 'Offline estimate — rescored when the model is reachable again';
+  }
   // Color: green for high, yellow for mid, red for low
-  if (score >= 0.5) {
+  if (override === 'show' || (!override && score >= 0.5)) {
     badge.style.background = 'rgba(0,180,0,0.85)';
     badge.style.color = '#fff';
-  } else if (score >= 0.2) {
+  } else if (!override && score >= 0.2) {
     badge.style.background = 'rgba(220,180,0,0.85)';
     badge.style.color = '#000';
   } else {
@@ -192,25 +803,253 @@ function replaceSpinnerWithBadge(element, score) {
     badge.style.color = '#fff';
   }
   thumb.appendChild(badge);
+  addVoteButtons(thumb, element);
+}
+
+// 👍/👎 under the badge: tells the scorer it got this one right or wrong
+function addVoteButtons(thumb, element) {
+  const videoId = element.dataset.ytcVideoId;
+  if (!videoId) return;
+  const oldVotes = thumb.querySelector('.ytc-votes');
+  if (oldVotes) oldVotes.remove();
+
+  const container = document.createElement('div');
+  container.className = 'ytc-votes';
+  [
+    { verdict: 'up', label: '👍', title: 'Good pick — show more like this' },
+    { verdict: 'down', label: '👎', title: 'Bad pick — show less like this' },
+  ].forEach(({ verdict, label, title }) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.dataset.verdict = verdict;
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      // Clicking the active vote again takes it back
+      castVote(element, votes.get(videoId) === verdict ? null : verdict);
+    });
+    container.appendChild(btn);
+  });
+  thumb.appendChild(container);
+  showVote(container, votes.get(videoId));
+}
+
+function showVote(container, verdict) {
+  container.classList.toggle('voted', !!verdict);
+  container.querySelectorAll('button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.verdict === verdict);
+  });
+}
+
+function castVote(element, verdict) {
+  const video = parseVideoData(element);
+  if (!video || !video.videoId) return;
+  if (verdict) {
+    votes.set(video.videoId, verdict);
+  } else {
+    votes.delete(video.videoId);
+  }
+  const container = getThumbContainer(element)?.querySelector('.ytc-votes');
+  if (container) showVote(container, verdict);
+
+  chrome.runtime.sendMessage({
+    type: 'recordFeedback',
+    preferences: currentPreferences,
+    entry: {
+      videoId: video.videoId,
+      title: video.title,
+      channel: video.channel,
+      score: getScore(element),
+      verdict,
+    },
+  });
+  console.log(`[YT-Control] Feedback ${verdict || 'cleared'} for "${video.title}"`);
 }
 
 // Remove spinner and badge from element
 function removeOverlays(element) {
-  const thumb = element.querySelector('yt-thumbnail-view-model');
+  const thumb = getThumbContainer(element);
   if (!thumb) return;
   const spinner = thumb.querySelector('.ytc-spinner');
   if (spinner) spinner.remove();
   const badge = thumb.querySelector('.ytc-badge');
   if (badge) badge.remove();
+  const voteButtons = thumb.querySelector('.ytc-votes');
+  if (voteButtons) voteButtons.remove();
 }
 
+// User override for a tile's video: 'show' | 'hide' | undefined
+function getOverride(element) {
+  const videoId = element.dataset.ytcVideoId;
+  return videoId ? overrides[videoId] : undefined;
+}
+
+// Overrides take precedence over LLM scores
+function effectiveScore(element, score) {
+  const override = getOverride(element);
+  if (override === 'show') return 1;
+  if (override === 'hide') return 0;
+  return score;
+}
+
+// Tiles we can filter without waiting for the LLM
+function hasFilterState(element) {
+  return videoState.has(tileKey(element)) || !!getOverride(element);
+}
+
+// "Why this score?" card — one shared element, anchored to the badge it belongs to
+let scoreCard = null;
+let cardElement = null; // tile the open card describes
+let cardPinned = false; // opened by click: stays until dismissed
+let cardCloseTimer = null;
+
+function handleBadgeClick(e) {
+  // The badge sits inside the thumbnail link — don't navigate
+  e.preventDefault();
+  e.stopPropagation();
+  const tile = e.currentTarget.closest(ALL_TILES_SELECTOR);
+  if (cardPinned && cardElement === tile) {
+    closeScoreCard();
+    return;
+  }
+  openScoreCard(tile, e.currentTarget);
+  cardPinned = true;
+}
+
+function handleBadgeHoverIn(e) {
+  clearTimeout(cardCloseTimer);
+  if (cardPinned) return;
+  openScoreCard(e.currentTarget.closest(ALL_TILES_SELECTOR), e.currentTarget);
+}
+
+function scheduleCardClose() {
+  if (cardPinned) return;
+  clearTimeout(cardCloseTimer);
+  cardCloseTimer = setTimeout(closeScoreCard, 250);
+}
+
+function closeScoreCard() {
+  clearTimeout(cardCloseTimer);
+  if (scoreCard) scoreCard.remove();
+  scoreCard = null;
+  cardElement = null;
+  cardPinned = false;
+}
+
+function openScoreCard(element, badge) {
+  if (!element) return;
+  closeScoreCard();
+  cardElement = element;
+
+  const state = videoState.get(tileKey(element)) || {};
+  const score = state.score;
+  const details = state.details || {};
+  const override = getOverride(element);
+  const videoId = element.dataset.ytcVideoId;
+
+  const card = document.createElement('div');
+  card.className = 'ytc-card';
+  card.addEventListener('mouseenter', () => clearTimeout(cardCloseTimer));
+  card.addEventListener('mouseleave', scheduleCardClose);
+  card.addEventListener('click', e => e.stopPropagation());
+
+  const title = document.createElement('div');
+  title.className = 'ytc-card-title';
+  title.textContent = score !== undefined
+    ? `Score ${Math.round(score * 100)}%${element.dataset.ytcRule ? ' · decided by a rule' : ''}`
+      + (element.dataset.ytcProvisional ? ' · offline estimate' : '')
+    : 'Not scored';
+  if (override) {
+    title.textContent += override === 'show' ? ' · you always show this' : ' · you always hide this';
+  }
+  card.appendChild(title);
+
+  const reason = document.createElement('div');
+  reason.className = 'ytc-card-reason';
+  reason.textContent = details.reason || 'No explanation from the model.';
+  card.appendChild(reason);
+
+  const clauses = [
+    ...(details.matched || []).map(text => ({ text: `✓ ${text}`, cls: 'match' })),
+    ...(details.violated || []).map(text => ({ text: `✗ ${text}`, cls: 'violate' })),
+  ];
+  if (clauses.length > 0) {
+    const list = document.createElement('div');
+    list.className = 'ytc-card-clauses';
+    clauses.forEach(({ text, cls }) => {
+      const chip = document.createElement('span');
+      chip.className = `ytc-chip ${cls}`;
+      chip.textContent = text;
+      list.appendChild(chip);
+    });
+    card.appendChild(list);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'ytc-card-actions';
+  [
+    { value: 'show', label: 'Always show' },
+    { value: 'hide', label: 'Always hide' },
+    { value: '', label: 'Use score' },
+  ].forEach(({ value, label }) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.disabled = !videoId;
+    if ((override || '') === value) btn.classList.add('active');
+    btn.addEventListener('click', () => {
+      setOverride(videoId, value);
+      closeScoreCard();
+    });
+    actions.appendChild(btn);
+  });
+  card.appendChild(actions);
+  const titleToggle = titleToggleButton(element); // see declickbait.js
+  if (titleToggle) card.appendChild(titleToggle);
+
+  document.body.appendChild(card);
+  const rect = badge.getBoundingClientRect();
+  const left = Math.min(rect.right - card.offsetWidth, window.innerWidth - card.offsetWidth - 8);
+  card.style.left = `${Math.max(8, left) + window.scrollX}px`;
+  card.style.top = `${rect.bottom + 6 + window.scrollY}px`;
+  scoreCard = card;
+}
+
+// Persist an override ('show' | 'hide', or '' to clear); every tab re-filters via onChanged
+function setOverride(videoId, value) {
+  if (!videoId) return;
+  const next = { ...overrides };
+  if (value) {
+    next[videoId] = value;
+  } else {
+    delete next[videoId];
+  }
+  chrome.storage.local.set({ overrides: next });
+  console.log(`[YT-Control] Override for ${videoId}: ${value || 'cleared'}`);
+}
+
+document.addEventListener('click', () => {
+  if (cardPinned) closeScoreCard();
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeScoreCard();
+});
+
 // Get current thresholds based on strictness
 function getThresholds() {
   return STRICTNESS_MAP[currentStrictness] || STRICTNESS_MAP[3];
 }
 
+// Classify a score against the current thresholds: 'shown' | 'dimmed' | 'hidden'
+function classifyScore(score) {
+  const { hide, dim } = getThresholds();
+  if (score >= dim) return 'shown';
+  if (score < hide) return 'hidden';
+  return 'dimmed';
+}
+
 // Map score to opacity: 0.0 → 0.15, 0.5 → 0.4, 1.0 → 1.0
-// Nothing fully disappears during testing
+// Used for dimmed videos, and for hidden ones in 'dim' mode or once revealed
 function scoreToOpacity(score, hide, dim) {
   if (score >= dim) return 1.0;
   // Map [0, dim] → [0.15, 0.4]
@@ -221,24 +1060,118 @@ function scoreToOpacity(score, hide, dim) {
 // Apply visual filter to a video element based on its score
 function applyFilter(element, score) {
   const { hide, dim } = getThresholds();
+  const filterScore = effectiveScore(element, score);
+  const verdict = classifyScore(filterScore);
 
   element.style.transition = 'opacity 0.3s';
+  element.dataset.ytcBelowHide = verdict === 'hidden' ? '1' : '';
 
-  if (score >= dim) {
+  if (verdict === 'shown') {
     element.style.opacity = '1';
+    element.style.display = '';
     element.dataset.ytcFilter = 'shown';
     element.removeEventListener('mouseenter', handleHoverIn);
     element.removeEventListener('mouseleave', handleHoverOut);
+  } else if (verdict === 'hidden' && hideMode === 'hide' && !isSectionRevealed(element)) {
+    element.style.display = 'none';
+    element.dataset.ytcFilter = 'hidden';
+    element.removeEventListener('mouseenter', handleHoverIn);
+    element.removeEventListener('mouseleave', handleHoverOut);
   } else {
-    const opacity = scoreToOpacity(score, hide, dim);
+    const opacity = scoreToOpacity(filterScore, hide, dim);
     element.style.opacity = String(opacity);
+    element.style.display = '';
     element.dataset.ytcFilter = 'dimmed';
     element.addEventListener('mouseenter', handleHoverIn);
     element.addEventListener('mouseleave', handleHoverOut);
   }
 
-  element.style.display = '';
   replaceSpinnerWithBadge(element, score);
+  rewriteTitle(element); // see declickbait.js
+}
+
+// Sections group tiles for the "N hidden" bar: one per grid, result block or sidebar
+const SECTION_SELECTOR = [
+  'ytd-item-section-renderer',
+  'ytd-rich-grid-renderer',
+  'ytd-grid-renderer',
+  'ytd-playlist-video-list-renderer',
+  '#secondary',
+].join(', ');
+
+function getSection(element) {
+  return element.closest(SECTION_SELECTOR);
+}
+
+function isSectionRevealed(element) {
+  const section = getSection(element);
+  return !!section && section.dataset.ytcRevealed === '1';
+}
+
+// Add/update/remove the "N videos hidden by your filter" bar in every section
+function updateHiddenBars() {
+  const counts = new Map(); // section → number of videos below the hide threshold
+  if (hideMode === 'hide') {
+    document.querySelectorAll('[data-ytc-below-hide="1"]').forEach(item => {
+      const section = getSection(item);
+      if (section) counts.set(section, (counts.get(section) || 0) + 1);
+    });
+  }
+
+  // Drop bars for sections that no longer hide anything
+  document.querySelectorAll('.ytc-hidden-bar').forEach(bar => {
+    const section = getSection(bar);
+    if (!section || !counts.has(section)) {
+      if (section) {
+        delete section.dataset.ytcRevealed;
+        section.classList.remove('ytc-collapse');
+      }
+      bar.remove();
+    }
+  });
+
+  counts.forEach((count, section) => {
+    section.classList.add('ytc-collapse');
+    const container = section.querySelector('#contents') || section;
+    let bar = container.querySelector(':scope > .ytc-hidden-bar');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.className = 'ytc-hidden-bar';
+      bar.append(document.createElement('span'), document.createElement('button'));
+      bar.querySelector('button').addEventListener('click', () => toggleSectionReveal(section));
+      container.prepend(bar);
+    }
+    const revealed = section.dataset.ytcRevealed === '1';
+    bar.querySelector('span').textContent =
+      `${count} video${count === 1 ? '' : 's'} hidden by your filter ·`;
+    bar.querySelector('button').textContent = revealed ? 'hide again' : 'show';
+  });
+
+  reportHiddenCount();
+}
+
+// Tell the background how many videos this tab actually hides (not dimmed or
+// revealed ones), for the toolbar badge
+let reportedHiddenCount = null;
+
+function reportHiddenCount() {
+  const count = document.querySelectorAll('[data-ytc-filter="hidden"]').length;
+  if (count === reportedHiddenCount) return;
+  reportedHiddenCount = count;
+  chrome.runtime.sendMessage({ type: 'hiddenCount', count }).catch(() => {});
+}
+
+// Reveal (dimmed) or re-hide the hidden videos of one section
+function toggleSectionReveal(section) {
+  if (section.dataset.ytcRevealed === '1') {
+    delete section.dataset.ytcRevealed;
+  } else {
+    section.dataset.ytcRevealed = '1';
+  }
+  section.querySelectorAll('[data-ytc-below-hide="1"]').forEach(item => {
+    if (hasFilterState(item)) applyFilter(item, getScore(item));
+  });
+  updateHiddenBars();
 }
 
 function handleHoverIn(e) {
@@ -247,8 +1180,8 @@ function handleHoverIn(e) {
 
 function handleHoverOut(e) {
   if (e.currentTarget.dataset.ytcFilter === 'dimmed') {
-    const score = scoreMap.get(e.currentTarget);
-    if (score !== undefined) {
+    if (hasFilterState(e.currentTarget)) {
+      const score = effectiveScore(e.currentTarget, getScore(e.currentTarget));
       const { hide, dim } = getThresholds();
       e.currentTarget.style.opacity = String(scoreToOpacity(score, hide, dim));
     }
@@ -260,36 +1193,54 @@ function reapplyFilters() {
   if (!filteringEnabled) return;
 
   let hidden = 0, dimmed = 0, shown = 0;
-  const { hide, dim } = getThresholds();
 
-  document.querySelectorAll('ytd-rich-item-renderer').forEach(item => {
-    if (!scoreMap.has(item)) return;
-    const score = scoreMap.get(item);
-    applyFilter(item, score);
-    if (score < hide) hidden++;
-    else if (score < dim) dimmed++;
+  getActiveTiles().forEach(({ item }) => {
+    if (!hasFilterState(item)) return;
+    applyFilter(item, getScore(item));
+    const verdict = item.dataset.ytcFilter;
+    if (verdict === 'hidden') hidden++;
+    else if (verdict === 'dimmed') dimmed++;
     else shown++;
   });
+  updateHiddenBars();
 
   console.log(`[YT-Control] Re-filtered (strictness ${currentStrictness}): ${shown} shown, ${dimmed} dimmed, ${hidden} hidden`);
 }
 
+// Strip a tile's visual filter, badge and spinner
+function clearTileFilter(item) {
+  item.style.opacity = '';
+  item.style.display = '';
+  item.dataset.ytcFilter = '';
+  item.dataset.ytcBelowHide = '';
+  item.removeEventListener('mouseenter', handleHoverIn);
+  item.removeEventListener('mouseleave', handleHoverOut);
+  removeOverlays(item);
+  restoreTitle(item);
+}
+
 // Remove all visual filters (when disabled or preferences change)
 function resetAllFilters() {
-  document.querySelectorAll('ytd-rich-item-renderer').forEach(item => {
-    item.style.opacity = '';
-    item.style.display = '';
-    item.dataset.ytcFilter = '';
-    item.removeEventListener('mouseenter', handleHoverIn);
-    item.removeEventListener('mouseleave', handleHoverOut);
-    removeOverlays(item);
-  });
+  document.querySelectorAll(ALL_TILES_SELECTOR).forEach(clearTileFilter);
+  updateHiddenBars();
+}
+
+// A recycled tile: forget everything it showed for its previous video
+function resetTile(item) {
+  clearTileFilter(item);
+  delete item.dataset.ytcScored;
+  delete item.dataset.ytcRule;
+  delete item.dataset.ytcProvisional;
+  if (cardElement === item) closeScoreCard();
 }
 
 // Clear scored state so all videos get re-scored
 function clearScoredState() {
-  document.querySelectorAll('ytd-rich-item-renderer[data-ytc-scored]').forEach(item => {
+  videoState.clear();
+  document.querySelectorAll('[data-ytc-scored]').forEach(item => {
     delete item.dataset.ytcScored;
+    delete item.dataset.ytcRule;
+    delete item.dataset.ytcProvisional;
   });
 }
 
@@ -316,8 +1267,53 @@ async function processVideos() {
     return;
   }
 
-  // Only send unscored videos to the API
-  const unscoredVideos = allVideos.filter(v => !v.element.dataset.ytcScored);
+  // Overridden videos are decided already — filter them now, never send them
+  allVideos.forEach(v => {
+    if (getOverride(v.element) && !v.element.dataset.ytcFilter) applyFilter(v.element, getScore(v.element));
+  });
+
+  // Videos scored before (a recycled tile, the same video elsewhere) need no request
+  const known = allVideos.filter(v => !v.element.dataset.ytcScored && videoState.has(tileKey(v.element)));
+  known.forEach(v => {
+    markTile(v.element, videoState.get(tileKey(v.element)));
+    applyFilter(v.element, getScore(v.element));
+  });
+  if (known.length > 0) updateHiddenBars();
+
+  // Rules decide what they can up front, with a fixed score
+  if (hasRules(compiledRules)) {
+    const ruled = [];
+    allVideos.forEach(v => {
+      if (v.element.dataset.ytcScored || getOverride(v.element)) return;
+      const decision = evaluateRules(v, compiledRules);
+      if (!decision) return;
+      const state = {
+        score: decision.score,
+        details: { reason: decision.reason, matched: [], violated: [] },
+        rule: decision.verdict,
+      };
+      setVideoState(tileKey(v.element), state);
+      markTile(v.element, state);
+      applyFilter(v.element, decision.score);
+      queueSteer(v.element);
+      ruled.push(v);
+    });
+    if (ruled.length > 0) {
+      console.log(`[YT-Control] Rules decided ${ruled.length} videos`);
+      updateHiddenBars();
+      reportFilterStats(ruled);
+    }
+  }
+
+  // Only send unscored videos that aren't already waiting on the background
+  // queue, once each — the answer is applied to every tile showing the video
+  const sending = new Set();
+  const unscoredVideos = allVideos.filter(v => {
+    const key = tileKey(v.element);
+    if (v.element.dataset.ytcScored || getOverride(v.element) || inFlightKeys.has(key) || sending.has(key)) return false;
+    sending.add(key);
+    return true;
+  });
 
   // If no preferences or nothing to score, skip
   if (!currentPreferences || unscoredVideos.length === 0) {
@@ -332,12 +1328,6 @@ async function processVideos() {
   // Immediately hide unscored videos so there's no "flash" of unfiltered content
   applyPendingState(unscoredVideos);
 
-  // Avoid overlapping API calls
-  if (scoringInProgress) {
-    console.log('[YT-Control] Scoring already in progress, skipping.');
-    return;
-  }
-
   // Back off after errors (don't hammer a rate-limited API)
   if (lastErrorTime && Date.now() - lastErrorTime < ERROR_COOLDOWN) {
     const wait = Math.ceil((ERROR_COOLDOWN - (Date.now() - lastErrorTime)) / 1000);
@@ -345,56 +1335,140 @@ async function processVideos() {
     return;
   }
 
-  scoringInProgress = true;
-  console.log(`[YT-Control] Sending ${unscoredVideos.length} videos to Gemini for scoring...`);
+  requestByPriority(unscoredVideos);
+}
+
+// One request per visibility tier: the background scores on-screen tiles
+// first, and each tier's response comes back as soon as its batches finish
+function requestByPriority(videos) {
+  const tiers = new Map();
+  videos.forEach(v => {
+    const priority = getPriority(v.element);
+    if (!tiers.has(priority)) tiers.set(priority, []);
+    tiers.get(priority).push(v);
+  });
+  [...tiers.keys()].sort().forEach(priority => requestScores(tiers.get(priority), priority));
+}
+
+// Feed the usage dashboard: verdict counts plus the channels of hidden tiles
+function reportFilterStats(videos) {
+  const counts = { shown: 0, dimmed: 0, hidden: 0, blockedChannels: {} };
+  videos.forEach(v => {
+    const verdict = v.element.dataset.ytcFilter;
+    if (verdict in counts) counts[verdict]++;
+    if (v.element.dataset.ytcBelowHide && v.channel) {
+      counts.blockedChannels[v.channel] = (counts.blockedChannels[v.channel] || 0) + 1;
+    }
+  });
+  chrome.runtime.sendMessage({ type: 'statsEvent', counts }).catch(() => {});
+}
+
+async function requestScores(videos, priority) {
+  const preferences = currentPreferences;
+  // Keys as sent — a tile may be recycled for another video while we wait
+  const keys = videos.map(v => tileKey(v.element));
+  keys.forEach(key => {
+    inFlightKeys.add(key);
+    sentPriority.set(key, priority);
+  });
+  console.log(`[YT-Control] Sending ${videos.length} videos for scoring (${PRIORITY_LABELS[priority]})...`);
 
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'scoreVideos',
-      videos: unscoredVideos.map(v => ({
+      videos: videos.map(v => ({
+        id: v.videoId,
         title: v.title,
         channel: v.channel,
         duration: v.duration,
         meta: v.meta,
+        views: v.views,
+        ageDays: v.ageDays,
+        live: v.live,
+        short: v.short,
+        thumbnail: v.thumbnail,
       })),
-      preferences: currentPreferences,
+      preferences,
+      priority,
+    });
+
+    // Preferences changed while we waited — these scores are for the old ones
+    if (preferences !== currentPreferences) {
+      setTimeout(processVideos, 0);
+      return;
+    }
+
+    // Tiles still waiting on a key: restore them (spinner off, no filter)
+    const restorePending = key => tilesFor(key).forEach(tile => {
+      if (!tile.dataset.ytcScored) clearTileFilter(tile);
     });
 
     if (response.error) {
       console.warn(`[YT-Control] Scoring error: ${response.error}`);
       lastErrorTime = Date.now();
-      // Remove spinners and restore videos on error
-      unscoredVideos.forEach(v => {
-        v.element.style.opacity = '';
-        v.element.style.display = '';
-        v.element.dataset.ytcFilter = '';
-        removeOverlays(v.element);
-      });
-      console.log('[YT-Control] Will retry in 60s.');
+      keys.forEach(restorePending);
+      console.log(`[YT-Control] Will retry in ${ERROR_COOLDOWN / 1000}s.`);
       return;
     }
 
-    // Apply visual filters, store scores, and mark as scored
-    const { hide, dim } = getThresholds();
-    let hidden = 0, dimmed = 0, shown = 0;
+    // Store scores by video and filter every tile showing one of these videos
+    let hidden = 0, dimmed = 0, shown = 0, missing = 0, provisional = 0;
+    const scored = []; // { ...video, element: a tile showing it } for the stats
+    const results = []; // console.table label per video
 
-    unscoredVideos.forEach((v, i) => {
+    videos.forEach((v, i) => {
+      const key = keys[i];
       const score = response.scores[i];
-      scoreMap.set(v.element, score);
-      v.element.dataset.ytcScored = '1';
-      applyFilter(v.element, score);
-      if (score < hide) hidden++;
-      else if (score < dim) dimmed++;
+      if (score === null || score === undefined) {
+        // Left out by the model — restore the tile and retry it on its own
+        missing++;
+        restorePending(key);
+        results.push('⏳ RETRY');
+        return;
+      }
+      const state = { score, details: response.details?.[i] || null, provisional: !!response.provisional?.[i] };
+      setVideoState(key, state);
+      if (state.provisional) provisional++;
+
+      const tiles = [...tilesFor(key)];
+      tiles.forEach(tile => {
+        markTile(tile, state);
+        applyFilter(tile, score);
+        // Steering tells YouTube something it can't unlearn — not on a guess
+        if (!state.provisional) queueSteer(tile);
+      });
+      if (tiles.length === 0) {
+        results.push('↺ TILE GONE');
+        return;
+      }
+      scored.push({ ...v, element: tiles[0] });
+      const verdict = tiles[0].dataset.ytcFilter;
+      if (verdict === 'hidden') hidden++;
+      else if (verdict === 'dimmed') dimmed++;
       else shown++;
+      results.push(state.provisional ? '~ OFFLINE'
+        : verdict === 'hidden' ? '🚫 HIDDEN'
+        : verdict === 'dimmed' ? '👻 DIMMED' : '✅ SHOWN');
     });
+    updateHiddenBars();
+    reportFilterStats(scored);
+    collectWorthWatching(scored); // see shelf.js
 
     console.log(`[YT-Control] Filtered: ${shown} shown, ${dimmed} dimmed, ${hidden} hidden`);
+    if (missing > 0) {
+      console.log(`[YT-Control] ${missing} videos got no score, retrying in ${MISSING_RETRY_DELAY / 1000}s`);
+      clearTimeout(missingRetryTimer);
+      missingRetryTimer = setTimeout(processVideos, MISSING_RETRY_DELAY);
+    }
+    if (provisional > 0) {
+      console.log(`[YT-Control] ${provisional} offline estimates, asking the model again in ${PROVISIONAL_RETRY_DELAY / 1000}s`);
+      if (!provisionalRetryTimer) provisionalRetryTimer = setTimeout(upgradeProvisional, PROVISIONAL_RETRY_DELAY);
+    }
     console.table(
-      unscoredVideos.map((v, i) => ({
+      videos.map((v, i) => ({
         '#': i + 1,
         Score: response.scores[i]?.toFixed(2),
-        Filter: response.scores[i] < hide ? '🚫 HIDDEN'
-          : response.scores[i] < dim ? '👻 DIMMED' : '✅ SHOWN',
+        Filter: results[i],
         Title: v.title?.substring(0, 50),
         Channel: v.channel,
       }))
@@ -402,27 +1476,95 @@ async function processVideos() {
   } catch (err) {
     console.error('[YT-Control] Failed to get scores:', err);
   } finally {
-    scoringInProgress = false;
+    keys.forEach(key => {
+      inFlightKeys.delete(key);
+      sentPriority.delete(key);
+    });
   }
 }
 
+// Re-send tiles holding offline estimates. They keep their current filter
+// while waiting — no spinner — and stay provisional if the LLM is still down.
+function upgradeProvisional() {
+  provisionalRetryTimer = null;
+  if (!filteringEnabled || !currentPreferences) return;
+  const videos = extractVideoData().filter(v =>
+    v.element.dataset.ytcProvisional && !getOverride(v.element) && !inFlightKeys.has(tileKey(v.element))
+  );
+  if (videos.length === 0) return;
+  console.log(`[YT-Control] Re-scoring ${videos.length} offline estimates`);
+  requestByPriority(videos);
+}
+
+// Viewport tracking: tiles report how close they are to the screen so the
+// background queue can score what the user is looking at first
+const PRIORITY_LABELS = { 0: 'visible', 1: 'near viewport', 2: 'off-screen' };
+const sentPriority = new Map(); // tile key → priority its pending request was queued with
+
+// 0 = on screen, 1 = within one screen height, 2 = further away. Measured
+// directly so a fresh scan doesn't wait for the observers' first callback.
+function getPriority(element) {
+  const rect = element.getBoundingClientRect();
+  const height = window.innerHeight;
+  if (rect.width === 0 || rect.height === 0) return 2;
+  if (rect.bottom > 0 && rect.top < height) return 0;
+  if (rect.bottom > -height && rect.top < height * 2) return 1;
+  return 2;
+}
+
+// Observers only tell us *when* to re-measure tiles that are still waiting
+function handleVisibilityChange(entries) {
+  const moved = new Map(); // priority → video IDs still waiting for a score
+  entries.forEach(({ target }) => {
+    const videoId = target.dataset.ytcVideoId;
+    const key = tileKey(target);
+    if (!videoId || !inFlightKeys.has(key)) return;
+    const priority = getPriority(target);
+    if (priority === sentPriority.get(key)) return;
+    sentPriority.set(key, priority);
+    if (!moved.has(priority)) moved.set(priority, []);
+    moved.get(priority).push(videoId);
+  });
+  moved.forEach((ids, priority) => {
+    chrome.runtime.sendMessage({ type: 'reprioritize', preferences: currentPreferences, ids, priority });
+  });
+}
+
+const visibleObserver = new IntersectionObserver(handleVisibilityChange);
+const nearObserver = new IntersectionObserver(handleVisibilityChange, { rootMargin: '100% 0px' });
+
+function observeVisibility(element) {
+  visibleObserver.observe(element);
+  nearObserver.observe(element);
+}
+
 // YouTube is an SPA — content loads dynamically. We use a MutationObserver
-// to detect when new video elements appear. Only re-score when the video
-// count actually changes (avoids hammering the API on unrelated DOM changes).
+// to detect when new video elements appear. Only rescan when the tile count
+// changes or a tile now links to another video (avoids hammering the API on
+// unrelated DOM changes).
 let debounceTimer = null;
 let lastVideoCount = 0;
 
 const observer = new MutationObserver(() => {
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(() => {
-    const currentCount = document.querySelectorAll('ytd-rich-item-renderer').length;
-    if (currentCount !== lastVideoCount) {
-      lastVideoCount = currentCount;
+    const tiles = getActiveTiles();
+    if (tiles.length !== lastVideoCount || tiles.some(({ item }) => tileChanged(item))) {
+      lastVideoCount = tiles.length;
       processVideos();
     }
   }, 800);
 });
 
+// Navigation and feed refreshes can swap every tile's video at the same count;
+// extractVideoData() spots the recycled tiles and only those are rescored
+['yt-navigate-finish', 'yt-page-data-updated'].forEach(type => {
+  document.addEventListener(type, () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(processVideos, 300);
+  });
+});
+
 observer.observe(document.body, { childList: true, subtree: true });
 
 // Run as soon as possible on initial load
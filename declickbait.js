@@ -0,0 +1,125 @@
+// YouTube Algorithm Control - De-clickbait Titles
+// Opt-in mode: the scoring call also returns a plain, neutral rewrite of each
+// title (cached with the score in the background), and scored tiles show it in
+// place of YouTube's title. Hovering the title shows the original; the score
+// card has a per-tile toggle back to it.
+// Uses content.js state (videoState, tile keys) and its title selectors. The
+// parsers there call originalTitle() so a rewritten tile is never re-read as
+// its rewrite.
+//
+// Setting (`declickbait` in chrome.storage.local): boolean, off by default.
+
+// Where each tile type keeps its title, most specific first
+const REWRITE_TITLE_SELECTORS = [
+  ...SHORTS_SELECTORS.title.filter(selector => selector !== 'h3'),
+  ...LOCKUP_SELECTORS.title,
+  ...RENDERER_SELECTORS.title,
+  '.ytp-videowall-still-info-title',
+  '.ytp-modern-videowall-still-info-title',
+];
+
+let declickbaitEnabled = false;
+const originalTitleKeys = new Set(); // tile keys toggled back to YouTube's title
+
+chrome.storage.local.get('declickbait', (data) => {
+  declickbaitEnabled = !!data.declickbait;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (!changes.declickbait) return;
+  declickbaitEnabled = !!changes.declickbait.newValue;
+  console.log(`[YT-Control] De-clickbait titles: ${declickbaitEnabled ? 'ON' : 'OFF'}`);
+  // Scores cached without a rewrite go back to the model; turning off restores titles
+  clearScoredState();
+  resetAllFilters();
+  processVideos();
+});
+
+// The text node holding a title — replacing just its value leaves YouTube's
+// markup (and its own updates to it) intact
+function titleTextNode(titleEl) {
+  const walker = document.createTreeWalker(titleEl, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP),
+  });
+  return walker.nextNode();
+}
+
+// YouTube's title when the element shows our rewrite, else null. A recycled
+// tile gets new text from YouTube, which no longer matches the rewrite.
+function originalTitle(titleEl) {
+  if (titleEl.dataset.ytcRewrite === undefined) return null;
+  return titleEl.textContent.trim() === titleEl.dataset.ytcRewrite ? titleEl.dataset.ytcOriginalTitle : null;
+}
+
+function tileTitleElement(element) {
+  return pickElement(element, REWRITE_TITLE_SELECTORS);
+}
+
+// Put YouTube's title back (or just forget ours when YouTube already replaced it)
+function restoreTitle(element) {
+  const titleEl = tileTitleElement(element);
+  if (!titleEl || titleEl.dataset.ytcRewrite === undefined) return;
+  const original = originalTitle(titleEl);
+  const node = titleTextNode(titleEl);
+  if (original !== null && node) node.nodeValue = original;
+  // Leave the tooltip alone if YouTube has set its own since
+  if (titleEl.getAttribute('title') === titleEl.dataset.ytcOriginalTitle) {
+    if (titleEl.dataset.ytcTitleAttr !== undefined) titleEl.setAttribute('title', titleEl.dataset.ytcTitleAttr);
+    else titleEl.removeAttribute('title');
+  }
+  titleEl.classList.remove('ytc-rewritten');
+  delete titleEl.dataset.ytcRewrite;
+  delete titleEl.dataset.ytcOriginalTitle;
+  delete titleEl.dataset.ytcTitleAttr;
+}
+
+// The rewrite worth showing for a tile, or null
+function tileRewrite(element) {
+  const rewrite = videoState.get(tileKey(element))?.details?.rewrite;
+  if (!declickbaitEnabled || !rewrite) return null;
+  const titleEl = tileTitleElement(element);
+  const shown = titleEl ? originalTitle(titleEl) || titleEl.textContent.trim() : '';
+  // Already plain: the model repeated it
+  return rewrite.toLowerCase() === shown.toLowerCase() ? null : rewrite;
+}
+
+// Called by content.js applyFilter() once a tile has its score
+function rewriteTitle(element) {
+  const rewrite = tileRewrite(element);
+  if (!rewrite || originalTitleKeys.has(tileKey(element))) {
+    restoreTitle(element);
+    return;
+  }
+  const titleEl = tileTitleElement(element);
+  if (!titleEl || (originalTitle(titleEl) !== null && titleEl.dataset.ytcRewrite === rewrite)) return;
+  restoreTitle(element);
+  const node = titleTextNode(titleEl);
+  if (!node) return;
+
+  const original = titleEl.textContent.trim();
+  if (titleEl.hasAttribute('title')) titleEl.dataset.ytcTitleAttr = titleEl.getAttribute('title');
+  titleEl.dataset.ytcOriginalTitle = original;
+  titleEl.dataset.ytcRewrite = rewrite;
+  node.nodeValue = rewrite;
+  titleEl.setAttribute('title', original);
+  titleEl.classList.add('ytc-rewritten');
+}
+
+// Score card row for switching a tile between the rewrite and YouTube's title
+function titleToggleButton(element) {
+  if (!tileRewrite(element)) return null;
+  const key = tileKey(element);
+  const row = document.createElement('div');
+  row.className = 'ytc-card-actions';
+  const btn = document.createElement('button');
+  btn.textContent = originalTitleKeys.has(key) ? 'Show plain title' : 'Show original title';
+  btn.addEventListener('click', () => {
+    if (originalTitleKeys.has(key)) originalTitleKeys.delete(key);
+    else originalTitleKeys.add(key);
+    tilesFor(key).forEach(rewriteTitle);
+    closeScoreCard();
+  });
+  row.appendChild(btn);
+  return row;
+}
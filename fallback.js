@@ -0,0 +1,154 @@
+// YouTube Algorithm Control - Offline Fallback Scorer
+// Network-free estimates for when the LLM can't be reached (errors, quota,
+// no key). Loaded by background.js. Two signals, both per preference namespace:
+//   - the preference text itself: words in a clause like "no crypto" count
+//     against a video, other clauses' words count for it
+//   - what the LLM scored before: every real score updates a running mean per
+//     title word and per channel, weighted TF-IDF style so common words matter less
+// Scores from here are provisional: never cached, and re-requested by the
+// content script until the LLM answers.
+//
+// Stored as `fallbackModel` in chrome.storage.local:
+//   { [namespace]: { docs, updated, terms: { word: [scoreSum, count] }, channels: { name: [scoreSum, count] } } }
+
+const FALLBACK_STORAGE_KEY = 'fallbackModel';
+const FALLBACK_MAX_TERMS = 3000; // per namespace; the rarest words are dropped first
+const FALLBACK_MAX_NAMESPACES = 5;
+const FALLBACK_SAVE_DELAY_MS = 2000;
+const FALLBACK_NEUTRAL = 0.5; // no evidence either way — shown, like the LLM's "only score low if clearly irrelevant"
+const MIN_TERM_COUNT = 2; // a word needs this many scored titles before it counts
+
+const STOPWORDS = new Set((
+  'a an and are as at be but by for from has have how i in is it its me my of on or our ' +
+  'so that the their this to was we what when where which who why will with you your ' +
+  'video videos new vs ft feat official full part episode ep'
+).split(' '));
+const NEGATIONS = /^(no|not|never|without|avoid|less|hate|skip|nothing|don'?t|dont|exclude)$/;
+
+let fallbackModel = null;
+let fallbackLoadPromise = null;
+let fallbackSaveTimer = null;
+
+// Lower-cased words without stopwords, crudely singularized ("tutorials" → "tutorial")
+function tokenize(text) {
+  return (text || '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Preference text → { wanted: Set, unwanted: Set, clauses: [{ text, words, negative }] }
+function preferenceTerms(preferences) {
+  const wanted = new Set();
+  const unwanted = new Set();
+  const clauses = (preferences || '').split(/[,.;\n]+|\bbut\b/i).map(text => text.trim()).filter(Boolean).map(text => {
+    const raw = text.toLowerCase().split(/\s+/);
+    const negative = raw.some(word => NEGATIONS.test(word));
+    const words = tokenize(text).filter(word => !NEGATIONS.test(word));
+    words.forEach(word => (negative ? unwanted : wanted).add(word));
+    return { text, words, negative };
+  });
+  return { wanted, unwanted, clauses };
+}
+
+function loadFallbackModel() {
+  if (!fallbackLoadPromise) {
+    fallbackLoadPromise = chrome.storage.local.get(FALLBACK_STORAGE_KEY).then(data => {
+      fallbackModel = data[FALLBACK_STORAGE_KEY] || {};
+      return fallbackModel;
+    });
+  }
+  return fallbackLoadPromise;
+}
+
+function scheduleFallbackSave() {
+  clearTimeout(fallbackSaveTimer);
+  fallbackSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({ [FALLBACK_STORAGE_KEY]: fallbackModel });
+  }, FALLBACK_SAVE_DELAY_MS);
+}
+
+// Feed one real LLM score into the namespace's word and channel means
+async function learnFromScore(namespace, video, score) {
+  const model = await loadFallbackModel();
+  if (!model[namespace]) {
+    model[namespace] = { docs: 0, updated: Date.now(), terms: {}, channels: {} };
+    // Keep only the most recently used preference sets
+    const stale = Object.keys(model)
+      .sort((a, b) => model[b].updated - model[a].updated)
+      .slice(FALLBACK_MAX_NAMESPACES);
+    stale.forEach(ns => delete model[ns]);
+  }
+  const entry = model[namespace];
+  entry.docs++;
+  entry.updated = Date.now();
+  new Set(tokenize(video.title)).forEach(word => {
+    const stat = entry.terms[word] || (entry.terms[word] = [0, 0]);
+    stat[0] += score;
+    stat[1]++;
+  });
+  if (video.channel) {
+    const stat = entry.channels[video.channel] || (entry.channels[video.channel] = [0, 0]);
+    stat[0] += score;
+    stat[1]++;
+  }
+
+  const words = Object.keys(entry.terms);
+  if (words.length > FALLBACK_MAX_TERMS) {
+    words.sort((a, b) => entry.terms[a][1] - entry.terms[b][1])
+      .slice(0, words.length - FALLBACK_MAX_TERMS)
+      .forEach(word => delete entry.terms[word]);
+  }
+  scheduleFallbackSave();
+}
+
+// Provisional { score, details } for a video, from the preference text and
+// whatever the namespace has learned
+async function fallbackScore(namespace, video, preferences) {
+  const model = await loadFallbackModel();
+  const learned = model[namespace];
+  const words = new Set(tokenize(video.title));
+  const { wanted, unwanted, clauses } = preferenceTerms(preferences);
+
+  // Learned evidence: mean LLM score of each known word, weighted by its IDF
+  // and by how often it was seen (up to 5)
+  let weighted = 0;
+  let weights = 0;
+  if (learned) {
+    words.forEach(word => {
+      const stat = learned.terms[word];
+      if (!stat || stat[1] < MIN_TERM_COUNT) return;
+      const idf = Math.log(1 + learned.docs / stat[1]);
+      const weight = idf * Math.min(stat[1], 5) / 5;
+      weighted += weight * (stat[0] / stat[1]);
+      weights += weight;
+    });
+    const channel = video.channel && learned.channels[video.channel];
+    if (channel && channel[1] >= MIN_TERM_COUNT) {
+      // A channel's track record is the strongest single signal
+      const weight = 2 * Math.min(channel[1], 5) / 5;
+      weighted += weight * (channel[0] / channel[1]);
+      weights += weight;
+    }
+  }
+  // Prior weight pulls thin evidence towards neutral
+  let score = (weighted + FALLBACK_NEUTRAL) / (weights + 1);
+
+  // Preference words shift the estimate directly
+  const matched = clauses.filter(c => !c.negative && c.words.some(word => words.has(word))).map(c => c.text);
+  const violated = clauses.filter(c => c.negative && c.words.some(word => words.has(word))).map(c => c.text);
+  if (matched.length) score += 0.25;
+  if (violated.length) score -= 0.4;
+  score = Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+
+  const basis = weights > 0 ? 'past scores of similar titles' : 'your preference words only';
+  const hits = [...words].filter(word => wanted.has(word) || unwanted.has(word));
+  return {
+    score,
+    details: {
+      reason: `Offline estimate from ${basis}${hits.length ? ` (${hits.join(', ')})` : ''} — the model was unavailable.`,
+      matched,
+      violated,
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// YouTube Algorithm Control - Parser Health Check
+// After every scan, counts per surface how many tiles parsed and which fields
+// the selectors couldn't find. When too much is missing, YouTube has most
+// likely changed its layout: the popup warns that filtering is degraded
+// instead of the page silently logging "No videos found yet."
+// Called by content.js extractVideoData(); uses its getActiveSurfaces() and
+// shorts.js shouldScoreShorts().
+//
+// Stored as `parserHealth` in chrome.storage.local:
+//   { checkedAt, page, degraded, problems: [string],
+//     surfaces: { [name]: { tiles, parsed, shorts, missing: { field: n }, fromPageData: { field: n } } } }
+
+const HEALTH_FIELDS = ['videoId', 'title', 'channel', 'duration', 'meta'];
+const HEALTH_MIN_TILES = 4; // fewer and the ratios say nothing
+const HEALTH_MIN_PARSED = 0.5; // share of tiles that must parse
+const HEALTH_MAX_MISSING = { videoId: 0.5, channel: 0.8, meta: 0.8 }; // duration is legitimately absent on live streams
+const HEALTH_MIN_ORPHAN_LINKS = 8; // distinct watch links on a page where no tile matched
+const HEALTH_WRITE_MS = 60000; // refresh the stored report at most this often unless it changes
+
+let lastHealthProblems = null;
+let lastHealthWrite = 0;
+let suspectedProblems = new Set(); // a problem must show up in two scans in a row — pages render in steps
+
+// Hidden Shorts tiles aren't parsed on purpose
+function skippedOnPurpose(item) {
+  if (shouldScoreShorts()) return false;
+  return item.matches('ytm-shorts-lockup-view-model') ||
+    !!item.querySelector('[class*="shortsLockupViewModelHost"], a[href*="/shorts/"]');
+}
+
+function surfaceHealth(tiles, videos) {
+  const surfaces = {};
+  const entry = name => surfaces[name] || (surfaces[name] = {
+    tiles: 0, parsed: 0, missing: {}, fromPageData: {}, shorts: 0,
+  });
+  getActiveSurfaces().forEach(surface => entry(surface.name));
+
+  tiles.forEach(({ item, surface }) => {
+    if (!skippedOnPurpose(item)) entry(surface.name).tiles++;
+  });
+  videos.forEach(video => {
+    const stats = entry(video.surface);
+    stats.parsed++;
+    if (video.short) stats.shorts++;
+    HEALTH_FIELDS.forEach(field => {
+      if (!video[field] && !(video.short && (field === 'channel' || field === 'duration'))) {
+        stats.missing[field] = (stats.missing[field] || 0) + 1;
+      }
+    });
+    (video.fromPageData || []).forEach(field => {
+      stats.fromPageData[field] = (stats.fromPageData[field] || 0) + 1;
+    });
+  });
+  return surfaces;
+}
+
+// [kind, description] pairs; the kind stays the same while the counts move
+function healthProblems(surfaces) {
+  const problems = [];
+  Object.entries(surfaces).forEach(([name, stats]) => {
+    if (stats.tiles === 0) {
+      // No tile matched at all: only suspicious when the page is full of video links
+      const links = new Set([...document.querySelectorAll('a[href*="/watch?v="]')].map(a => getVideoId(a.href)));
+      if (name !== 'endscreen' && links.size >= HEALTH_MIN_ORPHAN_LINKS) {
+        problems.push([`${name}:tiles`, `${name}: no video tiles found among ${links.size} video links`]);
+      }
+      return;
+    }
+    if (stats.tiles < HEALTH_MIN_TILES) return;
+    if (stats.parsed / stats.tiles < HEALTH_MIN_PARSED) {
+      problems.push([`${name}:parsed`, `${name}: only ${stats.parsed} of ${stats.tiles} videos could be read`]);
+    }
+    Object.entries(HEALTH_MAX_MISSING).forEach(([field, limit]) => {
+      // Shorts never have a channel, so they don't count towards it
+      const total = field === 'channel' ? stats.parsed - stats.shorts : stats.parsed;
+      if (total >= HEALTH_MIN_TILES && (stats.missing[field] || 0) / total > limit) {
+        problems.push([`${name}:${field}`, `${name}: ${field} missing on ${stats.missing[field]} of ${total} videos`]);
+      }
+    });
+  });
+  return problems;
+}
+
+function checkParserHealth(tiles, videos) {
+  const surfaces = surfaceHealth(tiles, videos);
+  const seen = healthProblems(surfaces);
+  // Report only what the previous scan saw as well
+  const confirmed = seen.filter(([kind]) => suspectedProblems.has(kind));
+  suspectedProblems = new Set(seen.map(([kind]) => kind));
+  const problems = confirmed.map(([, text]) => text);
+
+  const key = confirmed.map(([kind]) => kind).join('\n');
+  const now = Date.now();
+  if (key === lastHealthProblems && now - lastHealthWrite < HEALTH_WRITE_MS) return;
+  if (problems.length > 0 && key !== lastHealthProblems) {
+    console.warn('[YT-Control] YouTube layout changed, filtering degraded:', problems);
+  }
+  lastHealthProblems = key;
+  lastHealthWrite = now;
+  chrome.storage.local.set({
+    parserHealth: {
+      checkedAt: now,
+      page: location.pathname,
+      degraded: problems.length > 0,
+      problems,
+      surfaces,
+    },
+  });
+}
+
+// Problems seen on the previous page don't confirm anything on this one
+document.addEventListener('yt-navigate-finish', () => {
+  suspectedProblems = new Set();
+});
@@ -0,0 +1,181 @@
+// YouTube Algorithm Control - API Key Storage
+// Optional passphrase encryption of the stored API keys, and redaction of keys
+// from anything we persist. Loaded by background.js and popup.html.
+//
+// With encryption on, `providerSettings[id].apiKey` is empty and the key lives
+// in `providerSettings[id].encryptedKey` ({ iv, data }, AES-GCM). The AES key
+// is derived from the passphrase with PBKDF2; `keyVault` in chrome.storage.local
+// holds the salt and an encrypted check value to verify the passphrase. Once
+// unlocked, the raw AES key sits in chrome.storage.session — memory only, gone
+// when the browser closes — so the service worker can decrypt until then.
+
+const VAULT_STORAGE_KEY = 'keyVault'; // { salt, iterations, check: { iv, data } }
+const VAULT_SESSION_KEY = 'vaultKey';
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'yt-algorithm-control';
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // exported into session storage while unlocked
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+// Throws when the key is wrong or the data was tampered with
+async function decryptText(key, blob) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(blob.iv) }, key, fromBase64(blob.data)
+  );
+  return new TextDecoder().decode(data);
+}
+
+// 'off' | 'locked' | 'unlocked'
+async function getVaultState() {
+  const { [VAULT_STORAGE_KEY]: vault } = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  if (!vault) return 'off';
+  return (await getVaultKey()) ? 'unlocked' : 'locked';
+}
+
+// The unlocked AES key, or null while locked
+async function getVaultKey() {
+  const { [VAULT_SESSION_KEY]: raw } = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  if (!raw) return null;
+  return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function rememberVaultKey(key) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: toBase64(raw) });
+}
+
+// Turn encryption on: every plain key in providerSettings (and the legacy
+// top-level Gemini key) is encrypted under the passphrase
+async function createVault(passphrase) {
+  if (!passphrase) throw new Error('Enter a passphrase');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+  const vault = {
+    salt: toBase64(salt),
+    iterations: VAULT_ITERATIONS,
+    check: await encryptText(key, VAULT_CHECK_TEXT),
+  };
+
+  const data = await chrome.storage.local.get(['providerSettings', 'apiKey']);
+  const providerSettings = data.providerSettings || {};
+  if (data.apiKey && !providerSettings.gemini?.apiKey && !providerSettings.gemini?.encryptedKey) {
+    providerSettings.gemini = { ...providerSettings.gemini, apiKey: data.apiKey };
+  }
+  await rememberVaultKey(key);
+  await chrome.storage.local.set({
+    [VAULT_STORAGE_KEY]: vault,
+    providerSettings: await sealKeys(providerSettings, key),
+  });
+  await chrome.storage.local.remove('apiKey');
+}
+
+async function unlockVault(passphrase) {
+  const { [VAULT_STORAGE_KEY]: vault } = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  if (!vault) throw new Error('Keys are not encrypted');
+  const key = await deriveVaultKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  try {
+    await decryptText(key, vault.check);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  await rememberVaultKey(key);
+}
+
+async function lockVault() {
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+// Turn encryption off: keys go back to plain text. Needs the vault unlocked.
+async function removeVault() {
+  const key = await getVaultKey();
+  if (!key) throw new Error('Unlock the keys first');
+  const { providerSettings = {} } = await chrome.storage.local.get('providerSettings');
+  for (const stored of Object.values(providerSettings)) {
+    if (!stored.encryptedKey) continue;
+    stored.apiKey = await decryptText(key, stored.encryptedKey);
+    delete stored.encryptedKey;
+  }
+  await chrome.storage.local.set({ providerSettings });
+  await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+  await lockVault();
+}
+
+// Encrypt the plain keys in a providerSettings object before it is stored.
+// A no-op while encryption is off; throws while it's on but locked.
+async function sealKeys(providerSettings, key = null) {
+  if (!key) {
+    if ((await getVaultState()) === 'off') return providerSettings;
+    key = await getVaultKey();
+  }
+  const sealed = {};
+  for (const [id, stored] of Object.entries(providerSettings)) {
+    const { apiKey, encryptedKey, ...rest } = stored || {};
+    if (!apiKey) {
+      // Unlocked, the popup shows every decrypted key — an empty field means it
+      // was cleared. Locked, it shows none, so keep what's stored.
+      sealed[id] = key || !encryptedKey ? { ...rest, apiKey: '' } : { ...rest, apiKey: '', encryptedKey };
+      continue;
+    }
+    if (!key) throw new Error('Unlock your API keys to change them');
+    sealed[id] = { ...rest, apiKey: '', encryptedKey: await encryptText(key, apiKey) };
+  }
+  return sealed;
+}
+
+// A provider's usable key: plain, or decrypted when the vault is unlocked.
+// Returns { apiKey, locked }.
+async function openKey(stored = {}) {
+  if (stored.apiKey || !stored.encryptedKey) return { apiKey: stored.apiKey || '', locked: false };
+  const key = await getVaultKey();
+  if (!key) return { apiKey: '', locked: true };
+  try {
+    return { apiKey: await decryptText(key, stored.encryptedKey), locked: false };
+  } catch {
+    return { apiKey: '', locked: true };
+  }
+}
+
+// Key-shaped strings: URL key parameters, Google (AIza…), OpenAI/Anthropic
+// (sk-…) keys and bearer tokens
+const KEY_PATTERNS = [
+  [/([?&](?:key|api_key|apikey|access_token)=)[^&\s"']+/gi, '$1[redacted]'],
+  [/AIza[\w-]{30,}/g, '[redacted]'],
+  [/sk-[\w-]{16,}/g, '[redacted]'],
+  [/(Bearer\s+)[\w.~+/-]{12,}=*/gi, '$1[redacted]'],
+];
+
+// `text` with known keys and anything key-shaped replaced
+function redactSecrets(text, secrets = []) {
+  let redacted = String(text);
+  secrets.filter(secret => secret && secret.length >= 8).forEach(secret => {
+    redacted = redacted.split(secret).join('[redacted]');
+  });
+  KEY_PATTERNS.forEach(([pattern, replacement]) => {
+    redacted = redacted.replace(pattern, replacement);
+  });
+  return redacted;
+}
@@ -0,0 +1,189 @@
+// YouTube Algorithm Control - Rate Limiter
+// Per-model token buckets for requests and tokens per minute, plus a daily
+// request quota, sized from the roster limits in providers.js. Loaded by
+// background.js.
+//
+// Buckets live in memory (they refill within a minute anyway). Daily counts
+// and 429 blocks are persisted as `quotaUsage` so a worker restart can't reset them:
+//   { day: '2026-01-31', requests: { 'provider/model': n },
+//     exhausted: { 'provider/model': true }, blockedUntil: { 'provider/model': ms } }
+// Days are local calendar days, from background.js dayKey() like the stats;
+// providers reset on their own clock (Gemini at midnight Pacific), so a
+// daily-quota 429 also marks the model exhausted.
+
+const LIMITER_MAX_WAIT_MS = 120000; // longer than this, fail and let the content script retry
+const DEFAULT_RETRY_MS = 30000; // 429 without any retry hint
+const QUOTA_SAVE_DELAY_MS = 1000;
+
+const buckets = new Map(); // "provider/model" → { requests: { level, updated }, tokens: { level, updated } }
+let quotaUsage = null;
+let quotaLoadPromise = null;
+let quotaSaveTimer = null;
+let rosterIndex = 0; // rotates between models that are all free right now
+
+function emptyQuota() {
+  return { day: dayKey(), requests: {}, exhausted: {}, blockedUntil: {} };
+}
+
+async function loadQuota() {
+  if (!quotaLoadPromise) {
+    quotaLoadPromise = chrome.storage.local.get('quotaUsage').then(data => {
+      quotaUsage = { ...emptyQuota(), ...data.quotaUsage };
+    });
+  }
+  await quotaLoadPromise;
+  if (quotaUsage.day !== dayKey()) {
+    // New day: daily counts reset, short 429 blocks still apply
+    quotaUsage = { ...emptyQuota(), blockedUntil: quotaUsage.blockedUntil };
+    scheduleQuotaSave();
+  }
+  return quotaUsage;
+}
+
+function scheduleQuotaSave() {
+  clearTimeout(quotaSaveTimer);
+  quotaSaveTimer = setTimeout(() => chrome.storage.local.set({ quotaUsage }), QUOTA_SAVE_DELAY_MS);
+}
+
+function getBuckets(key, model) {
+  if (!buckets.has(key)) {
+    const now = Date.now();
+    buckets.set(key, {
+      requests: { level: model.rpm || 0, updated: now },
+      tokens: { level: model.tpm || 0, updated: now },
+    });
+  }
+  return buckets.get(key);
+}
+
+// ms until `cost` can be taken from a bucket refilling `perMinute` per minute
+function bucketWait(bucket, perMinute, cost, now) {
+  if (!perMinute) return 0; // unlimited
+  bucket.level = Math.min(perMinute, bucket.level + (perMinute / 60000) * (now - bucket.updated));
+  bucket.updated = now;
+  // A request bigger than the whole bucket can still go once the bucket is full
+  const needed = Math.min(cost, perMinute);
+  return bucket.level >= needed ? 0 : ((needed - bucket.level) / perMinute) * 60000;
+}
+
+// ms until `model` can take a request of `tokens`; Infinity when its day is used up
+function modelWait(providerId, model, tokens, now) {
+  const key = `${providerId}/${model.name}`;
+  if (quotaUsage.exhausted[key]) return Infinity;
+  if (model.rpd && (quotaUsage.requests[key] || 0) >= model.rpd) return Infinity;
+  const { requests, tokens: tokenBucket } = getBuckets(key, model);
+  return Math.max(
+    0,
+    (quotaUsage.blockedUntil[key] || 0) - now,
+    bucketWait(requests, model.rpm, 1, now),
+    bucketWait(tokenBucket, model.tpm, tokens, now),
+  );
+}
+
+// Claim a request on the enabled model that can go soonest and wait for it.
+// The buckets are charged before waiting (they may go negative) so concurrent
+// callers queue up behind each other instead of all firing at once.
+// Returns { model } or { error } when every model is out of quota.
+async function reserveModel(config, estimatedTokens) {
+  await loadQuota();
+  const { models } = config;
+  if (models.length === 0) {
+    return { error: `No ${config.adapter.label} models enabled. Add one in the extension options.` };
+  }
+
+  const now = Date.now();
+  let best = -1;
+  let bestWait = Infinity;
+  for (let i = 0; i < models.length; i++) {
+    const idx = (rosterIndex + i) % models.length;
+    const wait = modelWait(config.id, models[idx], estimatedTokens, now);
+    if (wait < bestWait) {
+      best = idx;
+      bestWait = wait;
+    }
+    if (wait === 0) break;
+  }
+  if (best < 0) {
+    return { error: `Daily quota used up for every ${config.adapter.label} model` };
+  }
+  if (bestWait > LIMITER_MAX_WAIT_MS) {
+    return { error: `All ${config.adapter.label} models are rate-limited for another ${Math.ceil(bestWait / 1000)}s` };
+  }
+
+  const model = models[best];
+  const key = `${config.id}/${model.name}`;
+  rosterIndex = (best + 1) % models.length;
+  const { requests, tokens } = getBuckets(key, model);
+  if (model.rpm) requests.level -= 1;
+  if (model.tpm) tokens.level -= Math.min(estimatedTokens, model.tpm);
+  quotaUsage.requests[key] = (quotaUsage.requests[key] || 0) + 1;
+  scheduleQuotaSave();
+
+  if (bestWait > 0) {
+    console.log(`[YT-Control BG] Rate limiter (${model.name}): waiting ${(bestWait / 1000).toFixed(1)}s`);
+    await new Promise(r => setTimeout(r, bestWait));
+  }
+  return { model: model.name };
+}
+
+// Correct the token bucket once the provider reports what a request really used
+function settleTokens(providerId, modelName, estimated, actual) {
+  const bucket = buckets.get(`${providerId}/${modelName}`);
+  if (bucket) bucket.tokens.level -= actual - estimated;
+}
+
+// How long a 429 asks us to back off, and whether it's the daily quota.
+// Reads the Retry-After header (seconds or HTTP date) and Gemini's error
+// details: RetryInfo.retryDelay ("37s") and QuotaFailure violations.
+function parseRateLimit(response, bodyText) {
+  let retryMs = null;
+  let daily = false;
+
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    retryMs = Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(header) - Date.now()) || null;
+  }
+
+  try {
+    const details = JSON.parse(bodyText).error?.details || [];
+    for (const detail of details) {
+      const type = detail['@type'] || '';
+      if (type.endsWith('RetryInfo') && detail.retryDelay) {
+        retryMs = parseFloat(detail.retryDelay) * 1000;
+      }
+      if (type.endsWith('QuotaFailure')) {
+        daily = (detail.violations || []).some(v => /PerDay/i.test(v.quotaId || v.quotaMetric || ''));
+      }
+    }
+  } catch {
+    // Not JSON — the header (if any) is all we get
+  }
+
+  return { retryMs, daily };
+}
+
+// Block a model after a 429. Returns a short description for the log.
+async function applyRateLimit(providerId, modelName, response, bodyText) {
+  await loadQuota();
+  const key = `${providerId}/${modelName}`;
+  const { retryMs, daily } = parseRateLimit(response, bodyText);
+
+  const bucket = buckets.get(key);
+  if (bucket) bucket.requests.level = Math.min(bucket.requests.level, 0);
+
+  if (daily) {
+    quotaUsage.exhausted[key] = true;
+    scheduleQuotaSave();
+    return 'daily quota used up';
+  }
+  const waitMs = retryMs ?? DEFAULT_RETRY_MS;
+  quotaUsage.blockedUntil[key] = Date.now() + waitMs;
+  scheduleQuotaSave();
+  return `paused for ${Math.ceil(waitMs / 1000)}s`;
+}
+
+// Today's request counts for the options page
+async function getQuotaUsage() {
+  return { ...(await loadQuota()) };
+}
@@ -0,0 +1,96 @@
+// YouTube Algorithm Control - Metadata Parsing
+// Turns a tile's metadata line ("1.2M views · 3 years ago") into structured
+// fields, in the languages YouTube localizes it to. Loaded as a content script
+// (parsers attach the fields to each video) and by background.js (which
+// formats them for the prompt).
+//
+// Only the languages below are understood; anything else leaves the field null
+// and the model sees the raw metadata line instead.
+
+// View-count multipliers by (lower-cased) suffix: "1.2K", "3,4 Mio.", "12万"
+const VIEW_MULTIPLIERS = {
+  k: 1e3, tsd: 1e3, mil: 1e3, 'тыс': 1e3, '천': 1e3,
+  m: 1e6, mio: 1e6, mi: 1e6, mln: 1e6, 'млн': 1e6,
+  b: 1e9, bn: 1e9, mrd: 1e9, md: 1e9, 'млрд': 1e9,
+  lakh: 1e5, crore: 1e7,
+  '万': 1e4, '萬': 1e4, '만': 1e4, '億': 1e8, '亿': 1e8, '억': 1e8,
+};
+
+const VIEWS_PATTERN = /views?|vues?|aufrufe|visualiza|visualizza|weergaven|wyświetle|görüntüleme|просмотр|視聴|观看|觀看|조회/i;
+const NO_VIEWS_PATTERN = /^(no views|aucune vue|keine aufrufe|sin visualizaciones|nenhuma visualização)$/i;
+const LIVE_PATTERN = /watching|spectateurs|zuschauer|espectadores|spettatori|assistindo|смотрят|視聴中|正在观看|시청 중/i;
+
+// Upload-age units: the word right after the number, checked in order
+const AGE_UNITS = [
+  [/^(second|secondes?|sekunde|segundo|secondi|секунд|秒|초)/i, 1 / 86400],
+  [/^(minut|минут|分|분)/i, 1 / 1440],
+  [/^(hours?|heures?|stunde|horas?|ore\b|ora\b|час|時間|小时|小時|시간)/i, 1 / 24],
+  [/^(days?|jours?|tag|días?|dias?|giorn|дн|день|日|天|일)/i, 1],
+  [/^(weeks?|semaines?|woche|semanas?|settiman|недел|週|周|주)/i, 7],
+  [/^(months?|mois|monat|mes|mês|месяц|か月|ヶ月|ケ月|个月|個月|개월)/i, 30],
+  [/^(years?|ans?\b|année|jahr|años?|anos?|ann[oi]|год|лет|年|년)/i, 365],
+];
+
+// First number in a string, plus whatever word follows it
+const NUMBER_PATTERN = /(\d[\d.,\s\u00a0\u202f]*\d|\d)\s*([^\d\s.,]*)/;
+
+// "1.2K views" / "1,2 k vues" / "1.234 Aufrufe" / "12万回視聴" → number, or null
+function parseViewCount(text) {
+  if (NO_VIEWS_PATTERN.test(text.trim())) return 0;
+  const match = text.match(NUMBER_PATTERN);
+  if (!match) return null;
+  const suffix = match[2].toLowerCase().replace(/\.$/, '');
+  // CJK multipliers run straight into the unit word: "12万回視聴"
+  const multiplier = VIEW_MULTIPLIERS[suffix]
+    || (/^[^a-z]/.test(suffix) ? VIEW_MULTIPLIERS[suffix.charAt(0)] : null);
+  if (multiplier) {
+    // With a multiplier the separator is a decimal point: "1.2K", "1,2 k"
+    return Math.round(parseFloat(match[1].replace(/[\s\u00a0\u202f]/g, '').replace(',', '.')) * multiplier);
+  }
+  // Without one, separators only group thousands: "1,234", "1.234", "1 234"
+  return Number(match[1].replace(/[.,\s\u00a0\u202f]/g, ''));
+}
+
+// "3 days ago" / "vor 2 Wochen" / "Streamed 1 year ago" / "3日前" → days, or null
+function parseUploadAge(text) {
+  const match = text.match(/(\d+)\s*(\S+)/);
+  if (!match) return null;
+  const unit = AGE_UNITS.find(([pattern]) => pattern.test(match[2]));
+  return unit ? Number(match[1]) * unit[1] : null;
+}
+
+// Metadata line → { views, ageDays, live }. Segments are " · "-separated;
+// the view count and the age can come in either order.
+function parseMeta(meta) {
+  const fields = { views: null, ageDays: null, live: false };
+  for (const segment of (meta || '').split('·').map(s => s.trim()).filter(Boolean)) {
+    if (LIVE_PATTERN.test(segment)) {
+      fields.live = true;
+      fields.views = parseViewCount(segment);
+    } else if (VIEWS_PATTERN.test(segment) || NO_VIEWS_PATTERN.test(segment)) {
+      fields.views = parseViewCount(segment);
+    } else if (fields.ageDays === null) {
+      fields.ageDays = parseUploadAge(segment);
+    }
+  }
+  return fields;
+}
+
+// Prompt-side formatting: compact English the model reads reliably
+
+function formatViews(views) {
+  if (views === null || views === undefined) return null;
+  if (views >= 1e9) return `${+(views / 1e9).toFixed(1)}B views`;
+  if (views >= 1e6) return `${+(views / 1e6).toFixed(1)}M views`;
+  if (views >= 1e3) return `${+(views / 1e3).toFixed(1)}K views`;
+  return `${views} views`;
+}
+
+function formatAge(ageDays) {
+  if (ageDays === null || ageDays === undefined) return null;
+  if (ageDays < 1) return 'uploaded today';
+  const [count, unit] = ageDays < 30 ? [Math.round(ageDays), 'day']
+    : ageDays < 365 ? [Math.round(ageDays / 30), 'month']
+    : [Math.round(ageDays / 365), 'year'];
+  return `${count} ${unit}${count === 1 ? '' : 's'} old`;
+}
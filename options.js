@@ -0,0 +1,485 @@
+// YouTube Algorithm Control - Options Page
+// Usage dashboard: per-day filter counts, hidden channels, API usage per model,
+// cache hit rate and the error log, all read from the background's stats store.
+// Also edits each provider's model roster and rate limits.
+
+const summaryEl = document.getElementById('summary');
+const daysEl = document.getElementById('days');
+const channelsEl = document.getElementById('channels');
+const modelUsageEl = document.getElementById('modelUsage');
+const errorsEl = document.getElementById('errors');
+const statusEl = document.getElementById('status');
+
+const TOP_CHANNELS = 15;
+
+let snapshot = null; // last { stats, errorLog, cache } from the background
+
+function flashStatus(text) {
+  statusEl.textContent = text;
+  setTimeout(() => { statusEl.textContent = ''; }, 2000);
+}
+
+function sumCounts(target, counts = {}) {
+  Object.entries(counts).forEach(([key, n]) => { target[key] = (target[key] || 0) + n; });
+  return target;
+}
+
+function hitRate(hits, misses) {
+  const lookups = hits + misses;
+  return lookups ? `${Math.round((hits / lookups) * 100)}%` : '—';
+}
+
+// Build a table from a header row and data rows; numeric cells are right-aligned
+function renderTable(table, headers, rows, emptyText) {
+  table.textContent = '';
+  if (rows.length === 0) {
+    const cell = table.insertRow().insertCell();
+    cell.className = 'empty';
+    cell.textContent = emptyText;
+    return;
+  }
+  const head = table.createTHead().insertRow();
+  headers.forEach((text, i) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    if (typeof rows[0][i] === 'number') th.className = 'num';
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(row => {
+    const tr = body.insertRow();
+    row.forEach(value => {
+      const td = tr.insertCell();
+      if (typeof value === 'number') {
+        td.className = 'num';
+        td.textContent = value.toLocaleString();
+      } else {
+        td.textContent = value;
+      }
+    });
+  });
+}
+
+function render({ stats, errorLog, cache }) {
+  const days = Object.keys(stats.days).sort().reverse();
+  const today = stats.days[days[0]] && days[0] === dayKey() ? stats.days[days[0]] : null;
+
+  // Today at a glance
+  const t = today || { shown: 0, dimmed: 0, hidden: 0, apiCalls: {}, cacheHits: 0, cacheMisses: 0 };
+  const apiCallsToday = Object.values(t.apiCalls).reduce((a, b) => a + b, 0);
+  summaryEl.textContent = '';
+  [
+    [t.shown, 'shown'],
+    [t.dimmed, 'dimmed'],
+    [t.hidden, 'hidden'],
+    [apiCallsToday, 'API calls'],
+    [hitRate(t.cacheHits, t.cacheMisses), `cache hits · ${cache.entries.toLocaleString()} cached`],
+  ].forEach(([value, label]) => {
+    const stat = document.createElement('div');
+    stat.className = 'stat';
+    stat.innerHTML = '<div class="value"></div><div class="label"></div>';
+    stat.querySelector('.value').textContent = typeof value === 'number' ? value.toLocaleString() : value;
+    stat.querySelector('.label').textContent = label;
+    summaryEl.appendChild(stat);
+  });
+
+  renderTable(daysEl,
+    ['Day', 'Shown', 'Dimmed', 'Hidden', 'API calls', 'Tokens', 'Cache hit rate'],
+    days.map(day => {
+      const d = stats.days[day];
+      const total = counts => Object.values(counts).reduce((a, b) => a + b, 0);
+      return [day, d.shown, d.dimmed, d.hidden, total(d.apiCalls), total(d.tokens), hitRate(d.cacheHits, d.cacheMisses)];
+    }),
+    'Nothing recorded yet — browse YouTube with filtering on.');
+
+  const channels = days.reduce((all, day) => sumCounts(all, stats.days[day].blockedChannels), {});
+  renderTable(channelsEl, ['Channel', 'Hidden'],
+    Object.entries(channels).sort((a, b) => b[1] - a[1]).slice(0, TOP_CHANNELS),
+    'No hidden videos yet.');
+
+  const calls = days.reduce((all, day) => sumCounts(all, stats.days[day].apiCalls), {});
+  const tokens = days.reduce((all, day) => sumCounts(all, stats.days[day].tokens), {});
+  renderTable(modelUsageEl, ['Model', 'Calls', 'Tokens'],
+    Object.keys(calls).sort((a, b) => calls[b] - calls[a]).map(model => [model, calls[model], tokens[model] || 0]),
+    'No API calls yet.');
+
+  renderTable(errorsEl, ['Time', 'Type', 'Status', 'Detail'],
+    errorLog.slice().reverse().map(e => [new Date(e.time).toLocaleString(), e.type, String(e.status ?? ''), e.detail]),
+    'No errors logged.');
+  errorsEl.querySelectorAll('tbody td:last-child').forEach(td => {
+    td.className = 'error-detail';
+    td.title = td.textContent;
+  });
+}
+
+// Same local-day key the background uses for its buckets
+function dayKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function refresh() {
+  chrome.runtime.sendMessage({ type: 'getStats' }, (response) => {
+    if (!response) {
+      statusEl.textContent = 'Stats unavailable';
+      return;
+    }
+    snapshot = response;
+    render(response);
+  });
+}
+refresh();
+
+// Export
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per day and model; filter counts repeat across a day's model rows
+// so each row stands alone in a spreadsheet
+function toCsv(stats) {
+  const rows = [['day', 'shown', 'dimmed', 'hidden', 'cache_hits', 'cache_misses', 'model', 'api_calls', 'tokens']];
+  Object.keys(stats.days).sort().forEach(day => {
+    const d = stats.days[day];
+    const models = Object.keys(d.apiCalls);
+    const base = [day, d.shown, d.dimmed, d.hidden, d.cacheHits, d.cacheMisses];
+    if (models.length === 0) rows.push([...base, '', 0, 0]);
+    models.forEach(model => rows.push([...base, model, d.apiCalls[model], d.tokens[model] || 0]));
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+document.getElementById('exportCsv').addEventListener('click', () => {
+  if (!snapshot) return;
+  download(`yt-control-stats-${dayKey()}.csv`, 'text/csv', toCsv(snapshot.stats));
+});
+
+document.getElementById('exportJson').addEventListener('click', () => {
+  if (!snapshot) return;
+  const { stats, errorLog } = snapshot;
+  download(`yt-control-stats-${dayKey()}.json`, 'application/json',
+    JSON.stringify({ exportedAt: new Date().toISOString(), days: stats.days, errorLog }, null, 2));
+});
+
+document.getElementById('refresh').addEventListener('click', refresh);
+
+document.getElementById('clearStats').addEventListener('click', () => {
+  if (!confirm('Clear all usage stats and the error log?')) return;
+  chrome.runtime.sendMessage({ type: 'clearStats' }, () => {
+    refresh();
+    flashStatus('Stats cleared ✓');
+  });
+});
+
+// Model roster: per-provider list of { name, enabled, rpm, tpm, rpd } saved in
+// providerSettings[id].models. Blank limits are stored as null (unlimited).
+
+const rosterProviderEl = document.getElementById('rosterProvider');
+const rosterEl = document.getElementById('roster');
+const rosterStatusEl = document.getElementById('rosterStatus');
+const LIMIT_FIELDS = [['rpm', 'Requests/min'], ['tpm', 'Tokens/min'], ['rpd', 'Requests/day']];
+
+let providerSettings = {};
+let usedToday = {}; // "provider/model" → requests today, from the limiter
+
+Object.entries(PROVIDERS).forEach(([id, adapter]) => {
+  rosterProviderEl.add(new Option(adapter.label, id));
+});
+
+function renderRoster(models) {
+  const provider = rosterProviderEl.value;
+  rosterEl.textContent = '';
+  const head = rosterEl.createTHead().insertRow();
+  ['On', 'Model', ...LIMIT_FIELDS.map(([, label]) => label), 'Used today', ''].forEach((text, i) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    if (i >= 2 && i <= 5) th.className = 'num';
+    head.appendChild(th);
+  });
+
+  const body = rosterEl.createTBody();
+  models.forEach(model => {
+    const tr = body.insertRow();
+    tr.classList.toggle('disabled', !model.enabled);
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = model.enabled;
+    enabled.dataset.field = 'enabled';
+    enabled.addEventListener('change', () => tr.classList.toggle('disabled', !enabled.checked));
+    tr.insertCell().appendChild(enabled);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = model.name;
+    name.placeholder = 'model name';
+    name.dataset.field = 'name';
+    tr.insertCell().appendChild(name);
+
+    LIMIT_FIELDS.forEach(([field]) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.placeholder = '∞';
+      input.value = model[field] ?? '';
+      input.dataset.field = field;
+      const td = tr.insertCell();
+      td.className = 'num';
+      td.appendChild(input);
+    });
+
+    const used = tr.insertCell();
+    used.className = 'num';
+    const count = usedToday[`${provider}/${model.name}`] || 0;
+    used.textContent = model.rpd ? `${count} / ${model.rpd}` : String(count);
+
+    const remove = document.createElement('a');
+    remove.className = 'remove';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => tr.remove());
+    tr.insertCell().appendChild(remove);
+  });
+}
+
+function readRoster() {
+  return [...rosterEl.tBodies[0].rows].map(tr => {
+    const field = name => tr.querySelector(`[data-field="${name}"]`);
+    const model = { name: field('name').value.trim(), enabled: field('enabled').checked };
+    LIMIT_FIELDS.forEach(([key]) => {
+      const value = field(key).value.trim();
+      model[key] = value === '' ? null : Math.max(0, Number(value));
+    });
+    return model;
+  }).filter(model => model.name);
+}
+
+function showRoster() {
+  const stored = providerSettings[rosterProviderEl.value] || {};
+  renderRoster(normalizeModels(rosterProviderEl.value, stored.models));
+}
+
+chrome.storage.local.get(['provider', 'providerSettings'], (data) => {
+  providerSettings = data.providerSettings || {};
+  rosterProviderEl.value = data.provider || DEFAULT_PROVIDER;
+  chrome.runtime.sendMessage({ type: 'getQuotaUsage' }, (quota) => {
+    usedToday = quota?.requests || {};
+    showRoster();
+  });
+  showRoster();
+});
+
+rosterProviderEl.addEventListener('change', showRoster);
+
+document.getElementById('addModel').addEventListener('click', () => {
+  const adapter = PROVIDERS[rosterProviderEl.value];
+  renderRoster([...readRoster(), { name: '', enabled: true, ...adapter.customLimits }]);
+  rosterEl.querySelector('tbody tr:last-child [data-field="name"]').focus();
+});
+
+document.getElementById('resetModels').addEventListener('click', () => {
+  renderRoster(normalizeModels(rosterProviderEl.value, []));
+});
+
+document.getElementById('saveModels').addEventListener('click', () => {
+  const provider = rosterProviderEl.value;
+  const models = readRoster();
+  const enabled = models.filter(model => model.enabled).length;
+  // Re-read so endpoint/key edits made in the popup meanwhile aren't lost
+  chrome.storage.local.get('providerSettings', (data) => {
+    providerSettings = data.providerSettings || {};
+    providerSettings[provider] = { ...providerSettings[provider], models };
+    chrome.storage.local.set({ providerSettings }, () => {
+      showRoster();
+      rosterStatusEl.textContent = enabled
+        ? `Saved ✓ — ${enabled} model${enabled === 1 ? '' : 's'} enabled`
+        : 'Saved — no models enabled, scoring is paused';
+      setTimeout(() => { rosterStatusEl.textContent = ''; }, 3000);
+    });
+  });
+});
+
+// Settings files and sync (see settings.js)
+
+const exportProfileEl = document.getElementById('exportProfile');
+const importFileEl = document.getElementById('importFile');
+const settingsStatusEl = document.getElementById('settingsStatus');
+const settingsWarningsEl = document.getElementById('settingsWarnings');
+const syncSettingsEl = document.getElementById('syncSettings');
+const syncStatusEl = document.getElementById('syncStatus');
+
+function showSettingsStatus(text, warnings = []) {
+  settingsStatusEl.textContent = text;
+  settingsWarningsEl.textContent = warnings.join(' · ');
+}
+
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+}
+
+function renderExportProfiles(profiles = []) {
+  exportProfileEl.textContent = '';
+  profiles.forEach(profile => exportProfileEl.add(new Option(profile.name, profile.id)));
+}
+
+// Only failures are shown; the background records each push (see pushToSync)
+function showSyncStatus(syncStatus) {
+  syncStatusEl.textContent = syncStatus && !syncStatus.ok
+    ? `Last sync failed (${new Date(syncStatus.at).toLocaleString()}): ${syncStatus.error}`
+    : '';
+}
+
+chrome.storage.local.get(['profiles', 'syncSettings', 'syncStatus'], (data) => {
+  renderExportProfiles(data.profiles);
+  syncSettingsEl.checked = !!data.syncSettings;
+  showSyncStatus(data.syncSettings && data.syncStatus);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.profiles) renderExportProfiles(changes.profiles.newValue);
+  if (changes.syncStatus) showSyncStatus(changes.syncStatus.newValue);
+  if (changes.syncSettings && !changes.syncSettings.newValue) showSyncStatus(null);
+});
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  const data = await chrome.storage.local.get(EXPORT_KEYS);
+  download(`yt-control-settings-${dayKey()}.json`, 'application/json',
+    JSON.stringify(buildExport(data), null, 2));
+});
+
+document.getElementById('exportProfileBtn').addEventListener('click', async () => {
+  const data = await chrome.storage.local.get('profiles');
+  const profile = (data.profiles || []).find(p => p.id === exportProfileEl.value);
+  if (!profile) return;
+  download(`yt-control-profile-${fileSlug(profile.name)}.json`, 'application/json',
+    JSON.stringify(buildExport(data, profile.id), null, 2));
+});
+
+document.getElementById('importSettings').addEventListener('click', () => importFileEl.click());
+
+importFileEl.addEventListener('change', async () => {
+  const file = importFileEl.files[0];
+  importFileEl.value = '';
+  if (!file) return;
+  try {
+    const { updates, warnings, kind } = await importSettingsText(await file.text());
+    if (kind === 'settings' && !confirm('Replace your current settings with the ones in this file? API keys are kept.')) return;
+    await chrome.storage.local.set(updates);
+    showSettingsStatus(kind === 'profile' ? 'Profile imported ✓' : 'Settings imported ✓', warnings);
+    providerSettings = (await chrome.storage.local.get('providerSettings')).providerSettings || {};
+    showRoster();
+  } catch (err) {
+    showSettingsStatus(`Import failed: ${err.message}`);
+  }
+});
+
+syncSettingsEl.addEventListener('change', () => {
+  chrome.storage.local.set({ syncSettings: syncSettingsEl.checked });
+});
+
+// "Worth watching" list (see saved.js). Status changes go through the
+// background, which owns the list.
+
+const savedMinScoreEl = document.getElementById('savedMinScore');
+const homeShelfEl = document.getElementById('homeShelf');
+const savedSortEl = document.getElementById('savedSort');
+const savedFilterEl = document.getElementById('savedFilter');
+const savedCountEl = document.getElementById('savedCount');
+const savedListEl = document.getElementById('savedList');
+
+let savedVideos = {};
+
+// Links that change a video's status: unwatched ones can be watched or
+// dismissed, the others go back to unwatched
+function savedActions(entry) {
+  const actions = entry.status === 'new'
+    ? [['watched', 'Mark watched'], ['dismissed', 'Dismiss']]
+    : [['new', 'Restore']];
+  const cell = document.createElement('td');
+  actions.forEach(([status, label]) => {
+    const link = document.createElement('a');
+    link.className = 'remove';
+    link.textContent = label;
+    link.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'savedVideoStatus', videoId: entry.videoId, status });
+    });
+    cell.appendChild(link);
+  });
+  return cell;
+}
+
+function renderSavedVideos() {
+  const all = Object.values(savedVideos);
+  const filter = savedFilterEl.value;
+  const entries = sortSavedVideos(all.filter(entry => filter === 'all' || entry.status === filter), savedSortEl.value);
+  const unwatched = all.filter(entry => entry.status === 'new').length;
+  savedCountEl.textContent = `${all.length} saved, ${unwatched} unwatched`;
+
+  savedListEl.textContent = '';
+  if (entries.length === 0) {
+    const cell = savedListEl.insertRow().insertCell();
+    cell.className = 'empty';
+    cell.textContent = all.length ? 'Nothing here' : 'Nothing saved yet — videos scoring above the threshold show up here as you browse';
+    return;
+  }
+  const body = savedListEl.createTBody();
+  entries.forEach(entry => {
+    const tr = body.insertRow();
+    const thumb = document.createElement('img');
+    thumb.src = savedThumbnail(entry);
+    thumb.alt = '';
+    tr.insertCell().appendChild(thumb);
+
+    const info = tr.insertCell();
+    const link = document.createElement('a');
+    link.href = savedUrl(entry);
+    link.target = '_blank';
+    link.textContent = entry.title;
+    const channel = document.createElement('div');
+    channel.className = 'channel';
+    channel.textContent = [entry.channel, entry.duration].filter(Boolean).join(' · ');
+    info.append(link, channel);
+
+    const score = tr.insertCell();
+    score.className = 'num';
+    score.textContent = `${Math.round(entry.score * 100)}%`;
+    tr.insertCell().textContent = new Date(entry.savedAt).toLocaleDateString();
+    tr.appendChild(savedActions(entry));
+  });
+}
+
+function saveWorthWatching() {
+  const percent = Math.min(100, Math.max(0, Number(savedMinScoreEl.value) || 0));
+  chrome.storage.local.set({ worthWatching: { minScore: percent / 100, homeShelf: homeShelfEl.checked } });
+}
+
+chrome.storage.local.get(['worthWatching', 'savedVideos'], (data) => {
+  const settings = normalizeWorthWatching(data.worthWatching);
+  savedMinScoreEl.value = Math.round(settings.minScore * 100);
+  homeShelfEl.checked = settings.homeShelf;
+  savedVideos = data.savedVideos || {};
+  renderSavedVideos();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.savedVideos) {
+    savedVideos = changes.savedVideos.newValue || {};
+    renderSavedVideos();
+  }
+});
+
+savedMinScoreEl.addEventListener('change', saveWorthWatching);
+homeShelfEl.addEventListener('change', saveWorthWatching);
+savedSortEl.addEventListener('change', renderSavedVideos);
+savedFilterEl.addEventListener('change', renderSavedVideos);
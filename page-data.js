@@ -0,0 +1,108 @@
+// YouTube Algorithm Control - Page Data Bridge
+// Runs in the page's own JS world (manifest "world": "MAIN"), where YouTube's
+// tile elements expose the renderer data they were built from. Content scripts
+// can't see those properties, so when content.js fires `ytc-page-data-request`
+// we copy a small summary of each tile's data into `data-ytc-page-data`:
+//   { videoId, title, channel, duration, meta }
+// The parsers use it for whatever their selectors didn't find. No chrome.* APIs
+// are available here. Everything is wrapped in a closure so nothing lands in
+// YouTube's global scope; the request event is the only interface.
+
+(() => {
+  const PAGE_DATA_TILES = [
+    'ytd-rich-item-renderer', 'ytd-video-renderer', 'ytd-compact-video-renderer',
+    'ytd-grid-video-renderer', 'ytd-playlist-video-renderer', 'yt-lockup-view-model',
+    'ytm-shorts-lockup-view-model',
+  ].join(', ');
+
+  // Text of a YouTube text object: { simpleText }, { runs: [{ text }] } or { content }
+  function pageText(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value;
+    if (value.simpleText) return value.simpleText;
+    if (value.content) return value.content;
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text).join('') || null;
+    return null;
+  }
+
+  // The renderer data attached to a tile, unwrapped from its container
+  function rendererData(el) {
+    let data = el.data || (el.__data && el.__data.data) || (el.polymerController && el.polymerController.data);
+    if (!data) return null;
+    if (data.content) data = data.content; // ytd-rich-item-renderer wraps the real renderer
+    return data.videoRenderer || data.gridVideoRenderer || data.compactVideoRenderer ||
+      data.playlistVideoRenderer || data.lockupViewModel || data.shortsLockupViewModel || data;
+  }
+
+  // videoRenderer and its grid/compact/playlist variants
+  function summarizeRenderer(data) {
+    const views = pageText(data.viewCountText) || pageText(data.shortViewCountText);
+    const published = pageText(data.publishedTimeText);
+    return {
+      videoId: data.videoId,
+      title: pageText(data.title) || pageText(data.headline),
+      channel: pageText(data.ownerText) || pageText(data.shortBylineText) || pageText(data.longBylineText),
+      duration: pageText(data.lengthText),
+      meta: [views, published].filter(Boolean).join(' · '),
+    };
+  }
+
+  // lockupViewModel: title and metadata rows live in the metadata view model,
+  // the duration in a thumbnail badge
+  function summarizeLockup(data) {
+    const metadata = data.metadata && data.metadata.lockupMetadataViewModel;
+    const rows = (metadata && metadata.metadata && metadata.metadata.contentMetadataViewModel &&
+      metadata.metadata.contentMetadataViewModel.metadataRows) || [];
+    const rowTexts = rows.map(row => (row.metadataParts || []).map(part => pageText(part.text)).filter(Boolean));
+    const overlays = (data.contentImage && data.contentImage.thumbnailViewModel &&
+      data.contentImage.thumbnailViewModel.overlays) || [];
+    let duration = null;
+    overlays.forEach(overlay => {
+      const holder = overlay.thumbnailOverlayBadgeViewModel || overlay.thumbnailBottomOverlayViewModel;
+      const badges = (holder && (holder.thumbnailBadges || holder.badges)) || [];
+      badges.forEach(badge => {
+        if (!duration && badge.thumbnailBadgeViewModel) duration = badge.thumbnailBadgeViewModel.text || null;
+      });
+    });
+    return {
+      videoId: data.contentId,
+      title: metadata ? pageText(metadata.title) : null,
+      // A single row is views/age only; with more, the first is the channel
+      channel: rowTexts.length > 1 ? rowTexts[0].join(' · ') || null : null,
+      duration,
+      meta: rowTexts.slice(rowTexts.length > 1 ? 1 : 0).flat().join(' · '),
+    };
+  }
+
+  function summarizeShortsLockup(data) {
+    const endpoint = data.onTap && data.onTap.innertubeCommand && data.onTap.innertubeCommand.reelWatchEndpoint;
+    const overlay = data.overlayMetadata || {};
+    return {
+      videoId: (endpoint && endpoint.videoId) || (data.entityId || '').replace(/^shorts-shelf-item-/, '') || null,
+      title: pageText(overlay.primaryText),
+      channel: null,
+      duration: null,
+      meta: pageText(overlay.secondaryText) || '',
+    };
+  }
+
+  function summarizePageData(data) {
+    if (data.contentId && data.metadata) return summarizeLockup(data);
+    if (data.overlayMetadata || data.onTap) return summarizeShortsLockup(data);
+    if (data.videoId) return summarizeRenderer(data);
+    return null;
+  }
+
+  document.addEventListener('ytc-page-data-request', () => {
+    document.querySelectorAll(PAGE_DATA_TILES).forEach(el => {
+      try {
+        const data = rendererData(el);
+        const summary = data && summarizePageData(data);
+        if (summary) el.setAttribute('data-ytc-page-data', JSON.stringify(summary));
+        else el.removeAttribute('data-ytc-page-data');
+      } catch {
+        // Shapes we don't know — the selectors are on their own for this tile
+      }
+    });
+  });
+})();
@@ -1,14 +1,65 @@
 // YouTube Algorithm Control - Popup Script
-// Manages user preferences, API key, strictness, and enabled state via Chrome storage
+// Manages profiles (preferences, rules, strictness, schedule), LLM provider,
+// surfaces and enabled state via Chrome storage
 
 const prefsEl = document.getElementById('preferences');
 const enabledEl = document.getElementById('enabled');
+const timedStatusEl = document.getElementById('timedStatus');
+const timedStatusTextEl = document.getElementById('timedStatusText');
+const endTimedBtn = document.getElementById('endTimed');
+const layoutWarningEl = document.getElementById('layoutWarning');
+const layoutProblemsEl = document.getElementById('layoutProblems');
 const apiKeyEl = document.getElementById('apiKey');
+const apiKeyLabel = document.getElementById('apiKeyLabel');
+const vaultStatusEl = document.getElementById('vaultStatus');
+const vaultActionBtn = document.getElementById('vaultAction');
+const vaultRemoveRowEl = document.getElementById('vaultRemoveRow');
+const vaultFormEl = document.getElementById('vaultForm');
+const vaultPassphraseEl = document.getElementById('vaultPassphrase');
+const testKeyBtn = document.getElementById('testKey');
+const testKeyResultEl = document.getElementById('testKeyResult');
+const providerEl = document.getElementById('provider');
+const baseUrlEl = document.getElementById('baseUrl');
+const modelSummaryEl = document.getElementById('modelSummary');
+const profileEl = document.getElementById('profile');
+const profileNameEl = document.getElementById('profileName');
+const profileScheduleEl = document.getElementById('profileSchedule');
+const profileStatusEl = document.getElementById('profileStatus');
+const newProfileBtn = document.getElementById('newProfile');
+const deleteProfileBtn = document.getElementById('deleteProfile');
 const strictnessEl = document.getElementById('strictness');
 const strictnessLabel = document.getElementById('strictnessLabel');
 const saveBtn = document.getElementById('save');
 const statusEl = document.getElementById('status');
 const presetsEl = document.getElementById('presets');
+const suggestBtn = document.getElementById('suggest');
+const suggestionEl = document.getElementById('suggestion');
+const suggestionSummaryEl = document.getElementById('suggestionSummary');
+const suggestionTextEl = document.getElementById('suggestionText');
+const surfacesEl = document.getElementById('surfaces');
+const hideModeEl = document.getElementById('hideMode');
+const thumbnailScoringEl = document.getElementById('thumbnailScoring');
+const declickbaitEl = document.getElementById('declickbait');
+const autoplayPolicyEl = document.getElementById('autoplayPolicy');
+const shortsModeEl = document.getElementById('shortsMode');
+const shortsMinStrictnessEl = document.getElementById('shortsMinStrictness');
+const shortsStrictnessRowEl = document.getElementById('shortsStrictnessRow');
+const shortsPlayerEl = document.getElementById('shortsPlayer');
+const budgetsEl = document.getElementById('budgets');
+const budgetEnforcementEl = document.getElementById('budgetEnforcement');
+const budgetProgressEl = document.getElementById('budgetProgress');
+const steerEnabledEl = document.getElementById('steerEnabled');
+const steerSettingsEl = document.getElementById('steerSettings');
+const steerActionEl = document.getElementById('steerAction');
+const steerThresholdEl = document.getElementById('steerThreshold');
+const steerCapEl = document.getElementById('steerCap');
+const steerLogEl = document.getElementById('steerLog');
+const cacheStatsEl = document.getElementById('cacheStats');
+const clearCacheBtn = document.getElementById('clearCache');
+
+// Rule fields: list fields are one entry per line, the rest are minutes
+const RULE_LIST_FIELDS = ['allowChannels', 'blockChannels', 'allowKeywords', 'blockKeywords'];
+const RULE_NUMBER_FIELDS = ['minMinutes', 'maxMinutes'];
 
 const STRICTNESS_LABELS = {
   1: 'Relaxed',
@@ -18,14 +69,293 @@ const STRICTNESS_LABELS = {
   5: 'Aggressive',
 };
 
-// Load saved settings when popup opens
-chrome.storage.local.get(['preferences', 'enabled', 'apiKey', 'strictness'], (data) => {
-  if (data.preferences) prefsEl.value = data.preferences;
-  if (data.apiKey) apiKeyEl.value = data.apiKey;
-  enabledEl.checked = data.enabled !== false;
-  const s = data.strictness || 3;
+// Per-provider settings as stored: { gemini: { baseUrl, models, apiKey }, ... }
+let providerSettings = {};
+
+Object.entries(PROVIDERS).forEach(([id, adapter]) => {
+  providerEl.add(new Option(adapter.label, id));
+});
+
+// Fill the endpoint/key fields for the selected provider. The model roster is
+// edited on the options page; the popup only summarizes it.
+function showProviderFields() {
+  const adapter = PROVIDERS[providerEl.value];
+  const stored = providerSettings[providerEl.value] || {};
+  baseUrlEl.placeholder = adapter.baseUrl;
+  baseUrlEl.value = stored.baseUrl || '';
+  const enabled = normalizeModels(providerEl.value, stored.models).filter(model => model.enabled);
+  modelSummaryEl.textContent = enabled.length
+    ? `${enabled.length} model${enabled.length === 1 ? '' : 's'}: ${enabled.map(model => model.name).join(', ')}`
+    : 'No models enabled';
+  apiKeyEl.value = stored.apiKey || '';
+  apiKeyLabel.textContent = adapter.needsKey ? 'API Key' : 'API Key (optional)';
+  apiKeyEl.placeholder = stored.encryptedKey && !stored.apiKey
+    ? 'Encrypted — unlock to see or change it'
+    : `Enter your ${adapter.label} API key`;
+  testKeyResultEl.textContent = '';
+}
+
+// Keep unsaved edits when flipping between providers
+function stashProviderFields(id) {
+  providerSettings[id] = {
+    ...providerSettings[id],
+    baseUrl: baseUrlEl.value.trim(),
+    apiKey: apiKeyEl.value.trim(),
+  };
+}
+
+let shownProvider = DEFAULT_PROVIDER;
+providerEl.addEventListener('change', () => {
+  stashProviderFields(shownProvider);
+  shownProvider = providerEl.value;
+  showProviderFields();
+});
+
+// Key encryption (keys.js). Unlocked, the fields show the decrypted keys and
+// Save encrypts them again; locked, encrypted keys stay blank and untouched.
+let vaultState = 'off';
+
+async function openProviderKeys() {
+  const { providerSettings: saved = {} } = await chrome.storage.local.get('providerSettings');
+  for (const [id, stored] of Object.entries(providerSettings)) {
+    const encryptedKey = saved[id]?.encryptedKey;
+    if (!encryptedKey) {
+      delete stored.encryptedKey;
+      continue;
+    }
+    stored.encryptedKey = encryptedKey;
+    const { apiKey, locked } = await openKey({ encryptedKey });
+    // Keep a key typed since the popup opened, unless the vault was just locked
+    stored.apiKey = locked ? '' : stored.apiKey || apiKey;
+  }
+  showProviderFields();
+}
+
+async function showVaultState() {
+  vaultState = await getVaultState();
+  vaultStatusEl.textContent = {
+    off: 'Keys are stored unencrypted ·',
+    locked: 'Keys are encrypted and locked ·',
+    unlocked: 'Keys are encrypted, unlocked until the browser closes ·',
+  }[vaultState];
+  vaultActionBtn.textContent = { off: 'Encrypt', locked: 'Unlock', unlocked: 'Lock' }[vaultState];
+  vaultRemoveRowEl.hidden = vaultState !== 'unlocked';
+  vaultFormEl.hidden = true;
+}
+
+async function runVaultAction(action) {
+  try {
+    await action();
+  } catch (err) {
+    statusEl.textContent = err.message;
+    setTimeout(() => { statusEl.textContent = ''; }, 3000);
+    return;
+  }
+  stashProviderFields(shownProvider);
+  await openProviderKeys();
+  await showVaultState();
+}
+
+vaultActionBtn.addEventListener('click', () => {
+  if (vaultState === 'unlocked') {
+    runVaultAction(lockVault);
+    return;
+  }
+  vaultFormEl.hidden = false;
+  vaultPassphraseEl.value = '';
+  vaultPassphraseEl.focus();
+});
+
+function submitPassphrase() {
+  const passphrase = vaultPassphraseEl.value;
+  runVaultAction(() => (vaultState === 'off' ? createVault(passphrase) : unlockVault(passphrase)));
+}
+
+document.getElementById('vaultSubmit').addEventListener('click', submitPassphrase);
+vaultPassphraseEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') submitPassphrase();
+});
+
+document.getElementById('vaultRemove').addEventListener('click', () => runVaultAction(removeVault));
+
+// Check the key as typed, before saving it
+testKeyBtn.addEventListener('click', async () => {
+  const provider = providerEl.value;
+  stashProviderFields(provider);
+  const { baseUrl, apiKey } = providerSettings[provider];
+  // Must run straight from the click so Chrome treats it as a user gesture
+  await requestEndpointPermission(provider, baseUrl);
+  testKeyResultEl.textContent = 'Testing…';
+  const result = await chrome.runtime.sendMessage({
+    type: 'testKey',
+    provider,
+    baseUrl: baseUrl || PROVIDERS[provider].baseUrl,
+    apiKey,
+  });
+  testKeyResultEl.textContent = `${result.ok ? '✓' : '✗'} ${result.message}`;
+});
+
+// Profiles as edited in the popup; unsaved edits are kept when switching
+let profiles = [];
+let shownProfileId = null;
+
+function renderProfileOptions() {
+  profileEl.textContent = '';
+  profiles.forEach(profile => profileEl.add(new Option(profile.name || 'Untitled', profile.id)));
+  profileEl.value = shownProfileId;
+  deleteProfileBtn.disabled = profiles.length < 2;
+}
+
+function showProfile(id) {
+  const profile = profiles.find(p => p.id === id) || profiles[0];
+  shownProfileId = profile.id;
+  profileEl.value = profile.id;
+  profileNameEl.value = profile.name;
+  profileScheduleEl.value = formatSchedule(profile.schedule);
+  prefsEl.value = profile.preferences || '';
+  const s = profile.strictness || 3;
   strictnessEl.value = s;
   strictnessLabel.textContent = STRICTNESS_LABELS[s];
+  showRules(profile.rules || {});
+}
+
+// Copy the form back into the shown profile. Returns an error message if the
+// schedule can't be parsed (the rest is still kept).
+function stashProfileFields() {
+  const profile = profiles.find(p => p.id === shownProfileId);
+  if (!profile) return null;
+  profile.name = profileNameEl.value.trim() || 'Untitled';
+  profile.preferences = prefsEl.value.trim();
+  profile.strictness = parseInt(strictnessEl.value);
+  profile.rules = readRules();
+  try {
+    profile.schedule = parseSchedule(profileScheduleEl.value);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Which profile is actually applied right now, and why
+function showProfileStatus() {
+  chrome.storage.local.get(['currentProfileId', 'activeProfileId'], (data) => {
+    const current = profiles.find(p => p.id === data.currentProfileId);
+    if (!current) {
+      profileStatusEl.textContent = '';
+      return;
+    }
+    const scheduled = current.id !== data.activeProfileId && current.schedule?.length;
+    profileStatusEl.textContent = scheduled
+      ? `Active now: ${current.name} (scheduled ${formatSchedule(current.schedule)})`
+      : `Active now: ${current.name}`;
+  });
+}
+
+function persistProfiles(callback) {
+  chrome.storage.local.set({ profiles, activeProfileId: shownProfileId }, callback);
+}
+
+profileEl.addEventListener('change', () => {
+  stashProfileFields();
+  showProfile(profileEl.value);
+  // Picking a profile makes it the manual choice
+  chrome.storage.local.set({ activeProfileId: shownProfileId });
+});
+
+profileNameEl.addEventListener('input', () => {
+  const option = profileEl.options[profileEl.selectedIndex];
+  if (option) option.textContent = profileNameEl.value.trim() || 'Untitled';
+});
+
+newProfileBtn.addEventListener('click', () => {
+  stashProfileFields();
+  const profile = createProfile(`Profile ${profiles.length + 1}`);
+  profiles.push(profile);
+  shownProfileId = profile.id;
+  renderProfileOptions();
+  showProfile(profile.id);
+  persistProfiles();
+  profileNameEl.select();
+});
+
+deleteProfileBtn.addEventListener('click', () => {
+  if (profiles.length < 2) return;
+  profiles = profiles.filter(p => p.id !== shownProfileId);
+  shownProfileId = profiles[0].id;
+  renderProfileOptions();
+  showProfile(shownProfileId);
+  persistProfiles();
+});
+
+// Load saved settings when popup opens
+chrome.storage.local.get(['preferences', 'enabled', 'apiKey', 'strictness', 'surfaces', 'hideMode', 'autoplayPolicy', 'shortsPolicy', 'thumbnailScoring', 'declickbait', 'provider', 'providerSettings', 'rules', 'profiles', 'activeProfileId', 'currentProfileId'], (data) => {
+  profiles = data.profiles || [];
+  // Background normally creates this on install; cover a popup opened first
+  if (profiles.length === 0) {
+    profiles.push(createProfile('Default', data));
+  }
+  shownProfileId = data.currentProfileId || data.activeProfileId || profiles[0].id;
+  renderProfileOptions();
+  showProfile(shownProfileId);
+  showProfileStatus();
+  providerSettings = data.providerSettings || {};
+  // Migrate the pre-provider Gemini key
+  if (data.apiKey && !providerSettings.gemini?.apiKey) {
+    providerSettings.gemini = { ...providerSettings.gemini, apiKey: data.apiKey };
+  }
+  providerEl.value = shownProvider = PROVIDERS[data.provider] ? data.provider : DEFAULT_PROVIDER;
+  openProviderKeys();
+  showVaultState();
+  enabledEl.checked = data.enabled !== false;
+  hideModeEl.value = data.hideMode || 'hide';
+  thumbnailScoringEl.checked = !!data.thumbnailScoring;
+  declickbaitEl.checked = !!data.declickbait;
+  autoplayPolicyEl.value = data.autoplayPolicy || 'swap';
+  const shortsPolicy = data.shortsPolicy || {};
+  shortsModeEl.value = shortsPolicy.mode || 'score';
+  shortsMinStrictnessEl.value = shortsPolicy.minStrictness || 4;
+  shortsPlayerEl.value = shortsPolicy.player || 'off';
+  shortsStrictnessRowEl.hidden = shortsModeEl.value !== 'strictness';
+  const surfaces = data.surfaces || {};
+  surfacesEl.querySelectorAll('input[data-surface]').forEach(input => {
+    input.checked = surfaces[input.dataset.surface] !== false;
+  });
+});
+
+function showRules(rules) {
+  RULE_LIST_FIELDS.forEach(field => {
+    document.getElementById(field).value = (rules[field] || []).join('\n');
+  });
+  RULE_NUMBER_FIELDS.forEach(field => {
+    document.getElementById(field).value = rules[field] ?? '';
+  });
+}
+
+function readRules() {
+  const rules = {};
+  RULE_LIST_FIELDS.forEach(field => {
+    rules[field] = document.getElementById(field).value
+      .split('\n').map(line => line.trim()).filter(Boolean);
+  });
+  RULE_NUMBER_FIELDS.forEach(field => {
+    const value = document.getElementById(field).value;
+    rules[field] = value === '' ? null : Math.max(0, Number(value));
+  });
+  return rules;
+}
+
+// Collect surface checkboxes into { home: true, search: false, ... }
+function readSurfaces() {
+  const surfaces = {};
+  surfacesEl.querySelectorAll('input[data-surface]').forEach(input => {
+    surfaces[input.dataset.surface] = input.checked;
+  });
+  return surfaces;
+}
+
+// Save surfaces immediately on change (filters are applied/removed live)
+surfacesEl.addEventListener('change', () => {
+  chrome.storage.local.set({ surfaces: readSurfaces() });
 });
 
 // Update strictness label as slider moves
@@ -33,9 +363,56 @@ strictnessEl.addEventListener('input', () => {
   strictnessLabel.textContent = STRICTNESS_LABELS[strictnessEl.value];
 });
 
-// Save strictness immediately on change (instant re-filter, no API call)
+// Save strictness immediately on change (instant re-filter, no API call).
+// Only the stored strictness changes — other unsaved edits wait for Save.
 strictnessEl.addEventListener('change', () => {
-  chrome.storage.local.set({ strictness: parseInt(strictnessEl.value) });
+  const strictness = parseInt(strictnessEl.value);
+  chrome.storage.local.get('profiles', (data) => {
+    const stored = (data.profiles || []).find(p => p.id === shownProfileId);
+    if (!stored) return;
+    stored.strictness = strictness;
+    chrome.storage.local.set({ profiles: data.profiles });
+  });
+});
+
+// Save hide mode immediately on change (instant re-filter, no API call)
+hideModeEl.addEventListener('change', () => {
+  chrome.storage.local.set({ hideMode: hideModeEl.value });
+});
+
+autoplayPolicyEl.addEventListener('change', () => {
+  chrome.storage.local.set({ autoplayPolicy: autoplayPolicyEl.value });
+});
+
+// Shorts policy applies live, like the surfaces
+function saveShortsPolicy() {
+  shortsStrictnessRowEl.hidden = shortsModeEl.value !== 'strictness';
+  chrome.storage.local.set({
+    shortsPolicy: {
+      mode: shortsModeEl.value,
+      minStrictness: parseInt(shortsMinStrictnessEl.value),
+      player: shortsPlayerEl.value,
+    },
+  });
+}
+[shortsModeEl, shortsMinStrictnessEl, shortsPlayerEl].forEach(el => el.addEventListener('change', saveShortsPolicy));
+
+// The background fetches thumbnails from i.ytimg.com, which needs a host permission
+thumbnailScoringEl.addEventListener('change', async () => {
+  if (thumbnailScoringEl.checked) {
+    const granted = await chrome.permissions.request({ origins: ['https://i.ytimg.com/*'] });
+    if (!granted) {
+      thumbnailScoringEl.checked = false;
+      statusEl.textContent = 'Thumbnail access was not granted';
+      setTimeout(() => { statusEl.textContent = ''; }, 3000);
+      return;
+    }
+  }
+  chrome.storage.local.set({ thumbnailScoring: thumbnailScoringEl.checked });
+});
+
+declickbaitEl.addEventListener('change', () => {
+  chrome.storage.local.set({ declickbait: declickbaitEl.checked });
 });
 
 // Preset buttons fill the textarea
@@ -45,20 +422,345 @@ presetsEl.addEventListener('click', (e) => {
   prefsEl.value = btn.dataset.preset;
 });
 
+// Ask the scorer to fold accumulated 👍/👎 feedback into the preference text.
+// Feedback is stored per preference text, so this uses the saved profile's text.
+suggestBtn.addEventListener('click', () => {
+  const profile = profiles.find(p => p.id === shownProfileId);
+  suggestBtn.disabled = true;
+  suggestBtn.textContent = 'Thinking…';
+  chrome.runtime.sendMessage({ type: 'suggestPreferences', preferences: profile?.preferences || '' }, (result) => {
+    suggestBtn.disabled = false;
+    suggestBtn.textContent = 'Suggest a rewrite from my 👍/👎';
+    if (!result || result.error) {
+      statusEl.textContent = result?.error || 'Could not get a suggestion';
+      setTimeout(() => { statusEl.textContent = ''; }, 4000);
+      return;
+    }
+    suggestionSummaryEl.textContent = result.summary;
+    suggestionTextEl.textContent = result.preferences;
+    suggestionEl.classList.add('visible');
+  });
+});
+
+// Accepting only fills the textarea — Save applies it
+document.getElementById('acceptSuggestion').addEventListener('click', () => {
+  prefsEl.value = suggestionTextEl.textContent;
+  suggestionEl.classList.remove('visible');
+});
+
+document.getElementById('dismissSuggestion').addEventListener('click', () => {
+  suggestionEl.classList.remove('visible');
+});
+
+// Non-default endpoints (local servers, self-hosted gateways) need a host permission
+function requestEndpointPermission(provider, baseUrl) {
+  const url = baseUrl || PROVIDERS[provider].baseUrl;
+  let origin;
+  try {
+    origin = `${new URL(url).origin}/*`;
+  } catch {
+    return Promise.resolve(false);
+  }
+  return chrome.permissions.request({ origins: [origin] });
+}
+
 // Save on button click
-saveBtn.addEventListener('click', () => {
-  const preferences = prefsEl.value.trim();
+saveBtn.addEventListener('click', async () => {
+  const provider = providerEl.value;
+  stashProviderFields(provider);
+  const scheduleError = stashProfileFields();
   const enabled = enabledEl.checked;
-  const apiKey = apiKeyEl.value.trim();
-  const strictness = parseInt(strictnessEl.value);
 
-  chrome.storage.local.set({ preferences, enabled, apiKey, strictness }, () => {
-    statusEl.textContent = 'Saved ✓';
+  // Must run straight from the click so Chrome treats it as a user gesture
+  const granted = await requestEndpointPermission(provider, providerSettings[provider].baseUrl);
+
+  // Rosters may have been edited on the options page since the popup opened
+  const { providerSettings: latest = {} } = await chrome.storage.local.get('providerSettings');
+  Object.keys(providerSettings).forEach(id => {
+    if (latest[id]?.models) providerSettings[id].models = latest[id].models;
+  });
+
+  // With encryption on, keys are stored sealed; the fields keep the plain ones
+  let storedSettings;
+  try {
+    storedSettings = await sealKeys(providerSettings);
+  } catch (err) {
+    statusEl.textContent = err.message;
+    setTimeout(() => { statusEl.textContent = ''; }, 4000);
+    return;
+  }
+
+  // The Gemini key now lives in providerSettings — drop the legacy copy
+  chrome.storage.local.remove('apiKey');
+  // The background applies the active profile's preferences, strictness and rules
+  chrome.storage.local.set({ profiles, activeProfileId: shownProfileId, enabled, provider, providerSettings: storedSettings }, () => {
+    renderProfileOptions();
+    showProfileStatus();
+    statusEl.textContent = scheduleError
+      || (granted ? 'Saved ✓' : 'Saved — endpoint access was not granted');
+    setTimeout(() => { statusEl.textContent = ''; }, scheduleError ? 5000 : 2000);
+  });
+});
+
+// Steer mode — mirrors STEER_DEFAULTS in steer.js
+const STEER_DEFAULTS = { enabled: false, threshold: 0.1, action: 'notInterested', dailyCap: 20 };
+const STEER_ACTION_LABELS = { notInterested: 'Not interested', dontRecommend: "Don't recommend" };
+// Where YouTube lists feedback we can no longer undo from the page
+const YOUTUBE_FEEDBACK_URL = 'https://myactivity.google.com/page?page=youtube_user_feedback';
+
+chrome.storage.local.get(['steer', 'steerLog'], (data) => {
+  const steer = { ...STEER_DEFAULTS, ...data.steer };
+  steerEnabledEl.checked = steer.enabled;
+  steerActionEl.value = steer.action;
+  steerThresholdEl.value = Math.round(steer.threshold * 100);
+  steerCapEl.value = steer.dailyCap;
+  renderSteerLog(data.steerLog || []);
+});
+
+// Save steer settings immediately on change
+steerEnabledEl.addEventListener('change', saveSteer);
+steerSettingsEl.addEventListener('change', saveSteer);
+
+function saveSteer() {
+  chrome.storage.local.set({
+    steer: {
+      enabled: steerEnabledEl.checked,
+      action: steerActionEl.value,
+      threshold: Math.min(100, Math.max(0, Number(steerThresholdEl.value) || 0)) / 100,
+      dailyCap: Math.min(100, Math.max(0, parseInt(steerCapEl.value) || 0)),
+    },
+  });
+}
+
+// Watch-time budgets (budgets.js): edited here, enforced by the background and watchtime.js
+chrome.storage.local.get('watchBudgets', (data) => {
+  const watchBudgets = normalizeBudgets(data.watchBudgets);
+  budgetsEl.value = formatBudgets(watchBudgets.budgets);
+  budgetEnforcementEl.value = watchBudgets.enforcement;
+});
+
+function saveBudgets() {
+  let budgets;
+  try {
+    budgets = parseBudgets(budgetsEl.value);
+  } catch (err) {
+    statusEl.textContent = err.message;
+    return;
+  }
+  statusEl.textContent = '';
+  chrome.storage.local.set({ watchBudgets: { enforcement: budgetEnforcementEl.value, budgets } });
+}
+
+budgetsEl.addEventListener('change', saveBudgets);
+budgetEnforcementEl.addEventListener('change', saveBudgets);
+
+// Today's minutes against each budget, then the unbudgeted rest
+// (served by the background, whose totals include what it hasn't written yet)
+async function showBudgetProgress() {
+  const { watchBudgets } = await chrome.storage.local.get('watchBudgets');
+  const { budgets } = normalizeBudgets(watchBudgets);
+  chrome.runtime.sendMessage({ type: 'getWatchTime' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    const watchTime = response.watchTime || {};
+    const minutes = category => Math.floor((watchTime[category] || 0) / 60);
+    budgetProgressEl.textContent = '';
+    budgets.forEach(({ category, minutes: limit }) => {
+      const used = minutes(category);
+      const row = document.createElement('div');
+      row.className = `budget-row${used >= limit ? ' over' : ''}`;
+      const name = document.createElement('span');
+      name.textContent = category;
+      const amount = document.createElement('span');
+      amount.textContent = `${formatMinutes(used)} of ${formatMinutes(limit)}`;
+      const bar = document.createElement('div');
+      bar.className = 'budget-bar';
+      const fill = document.createElement('div');
+      fill.style.width = `${Math.min(100, (used / limit) * 100)}%`;
+      bar.appendChild(fill);
+      row.append(name, amount, bar);
+      budgetProgressEl.appendChild(row);
+    });
+    const rest = Object.keys(watchTime)
+      .filter(category => !budgets.some(b => b.category === category) && minutes(category) > 0)
+      .map(category => `${category} ${formatMinutes(minutes(category))}`);
+    if (rest.length > 0) {
+      const other = document.createElement('div');
+      other.className = 'budget-other';
+      other.textContent = `Also watched today: ${rest.join(' · ')}`;
+      budgetProgressEl.appendChild(other);
+    }
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.watchBudgets || changes.budgetState) showBudgetProgress();
+});
+
+showBudgetProgress();
+
+// Last few actions, newest first, each with an undo link
+function renderSteerLog(log) {
+  steerLogEl.textContent = '';
+  const today = new Date().toDateString();
+  const usedToday = log.filter(entry => new Date(entry.time).toDateString() === today).length;
+  if (log.length === 0) return;
+
+  const summary = document.createElement('div');
+  summary.textContent = `${usedToday} action${usedToday === 1 ? '' : 's'} today`;
+  steerLogEl.appendChild(summary);
+
+  log.slice(-5).reverse().forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'steer-entry' + (entry.undone ? ' undone' : '');
+    const label = document.createElement('span');
+    label.textContent = `${STEER_ACTION_LABELS[entry.action] || entry.action}: ${entry.title}`;
+    label.title = `${entry.title} — ${entry.channel || '?'} (${new Date(entry.time).toLocaleString()})`;
+    row.appendChild(label);
+    if (!entry.undone) {
+      const undoBtn = document.createElement('button');
+      undoBtn.className = 'link-btn';
+      undoBtn.textContent = 'Undo';
+      undoBtn.addEventListener('click', () => undoSteer(entry));
+      row.appendChild(undoBtn);
+    }
+    steerLogEl.appendChild(row);
+  });
+}
+
+// Undo works while YouTube's "Undo" notice is still on the active tab;
+// otherwise point to YouTube's feedback history
+async function undoSteer(entry) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let result = null;
+  try {
+    result = await chrome.tabs.sendMessage(tab.id, { type: 'steerUndo', videoId: entry.videoId });
+  } catch {
+    // Not a YouTube tab
+  }
+
+  if (!result?.ok) {
+    steerLogEl.querySelector('.steer-hint')?.remove();
+    const hint = document.createElement('div');
+    hint.className = 'steer-hint';
+    hint.append('No longer undoable here — ');
+    const link = document.createElement('a');
+    link.href = YOUTUBE_FEEDBACK_URL;
+    link.target = '_blank';
+    link.textContent = 'manage YouTube feedback';
+    hint.appendChild(link);
+    steerLogEl.appendChild(hint);
+    return;
+  }
+
+  const { steerLog = [] } = await chrome.storage.local.get('steerLog');
+  const match = steerLog.find(e => e.videoId === entry.videoId && e.time === entry.time);
+  if (match) match.undone = true;
+  await chrome.storage.local.set({ steerLog });
+  renderSteerLog(steerLog);
+}
+
+// Cache stats come from the background worker, which owns the cache
+function refreshCacheStats() {
+  chrome.runtime.sendMessage({ type: 'getCacheStats' }, (stats) => {
+    if (!stats) {
+      cacheStatsEl.textContent = 'Unavailable';
+      return;
+    }
+    const lookups = stats.hits + stats.misses;
+    const hitRate = lookups ? ` · ${Math.round((stats.hits / lookups) * 100)}% hits` : '';
+    cacheStatsEl.textContent =
+      `${stats.entries.toLocaleString()} scores · ${stats.namespaces} preference set${stats.namespaces === 1 ? '' : 's'}${hitRate}`;
+  });
+}
+refreshCacheStats();
+
+clearCacheBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'clearCache' }, () => {
+    refreshCacheStats();
+    statusEl.textContent = 'Cache cleared ✓';
     setTimeout(() => { statusEl.textContent = ''; }, 2000);
   });
 });
 
+document.getElementById('openDashboard').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+document.getElementById('openModels').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options.html#models') });
+});
+
+document.getElementById('openSettings').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options.html#settings') });
+});
+
+document.getElementById('openSaved').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options.html#saved') });
+});
+
 // Also save immediately when toggle changes
 enabledEl.addEventListener('change', () => {
   chrome.storage.local.set({ enabled: enabledEl.checked });
 });
+
+// Snooze and focus: the background ends them with an alarm
+function showTimedStatus() {
+  chrome.storage.local.get(['snoozeUntil', 'focusUntil'], (data) => {
+    const now = Date.now();
+    const until = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (data.snoozeUntil > now) {
+      timedStatusTextEl.textContent = `Filtering paused until ${until(data.snoozeUntil)}`;
+      endTimedBtn.textContent = 'Resume';
+      endTimedBtn.dataset.key = 'snoozeUntil';
+    } else if (data.focusUntil > now) {
+      timedStatusTextEl.textContent = `Focus session (Aggressive) until ${until(data.focusUntil)}`;
+      endTimedBtn.textContent = 'End';
+      endTimedBtn.dataset.key = 'focusUntil';
+    }
+    timedStatusEl.hidden = !(data.snoozeUntil > now || data.focusUntil > now);
+  });
+}
+
+document.querySelectorAll('[data-snooze]').forEach(btn => btn.addEventListener('click', () => {
+  chrome.storage.local.set({ snoozeUntil: Date.now() + Number(btn.dataset.snooze) * 60000 });
+}));
+
+document.querySelectorAll('[data-focus]').forEach(btn => btn.addEventListener('click', () => {
+  chrome.storage.local.set({ focusUntil: Date.now() + Number(btn.dataset.focus) * 60000 });
+}));
+
+endTimedBtn.addEventListener('click', () => {
+  chrome.storage.local.remove(endTimedBtn.dataset.key);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.snoozeUntil || changes.focusUntil) showTimedStatus();
+});
+
+showTimedStatus();
+
+// Parser health (health.js): warn when the last scan couldn't read YouTube's tiles
+const HEALTH_STALE_MS = 24 * 60 * 60 * 1000;
+
+function showParserHealth() {
+  chrome.storage.local.get('parserHealth', ({ parserHealth }) => {
+    const degraded = parserHealth && parserHealth.degraded && Date.now() - parserHealth.checkedAt < HEALTH_STALE_MS;
+    layoutWarningEl.hidden = !degraded;
+    layoutProblemsEl.textContent = '';
+    if (!degraded) return;
+    parserHealth.problems.forEach(problem => {
+      const li = document.createElement('li');
+      li.textContent = problem;
+      layoutProblemsEl.appendChild(li);
+    });
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.parserHealth) showParserHealth();
+});
+
+showParserHealth();
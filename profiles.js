@@ -0,0 +1,108 @@
+// YouTube Algorithm Control - Profiles
+// Named sets of preferences, strictness and rules, optionally scheduled by day
+// and time. Loaded by background.js (which applies the active profile) and
+// popup.html (which edits them).
+//
+// Stored as `profiles` in chrome.storage.local:
+//   [{ id, name, preferences, strictness, rules, schedule: [{ days: [1..5], start: '09:00', end: '17:00' }] }]
+// `activeProfileId` is the user's manual pick; a profile whose schedule matches
+// the current time wins over it. The background copies the winner's fields to
+// the top-level `preferences` / `strictness` / `rules` keys the content script reads.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function createProfile(name, fields = {}) {
+  return {
+    id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    preferences: fields.preferences || '',
+    strictness: fields.strictness || 3,
+    rules: fields.rules || {},
+    schedule: fields.schedule || [],
+  };
+}
+
+// "9" / "09:30" → minutes since midnight
+function parseClock(text) {
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "Mon-Fri" / "Sat,Sun" / "Daily" → [day indexes]
+function parseDays(text) {
+  if (/^(daily|every ?day)$/i.test(text)) return [0, 1, 2, 3, 4, 5, 6];
+  const dayIndex = name => DAY_NAMES.findIndex(d => d.toLowerCase() === name.slice(0, 3).toLowerCase());
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [from, to] = part.trim().split('-').map(dayIndex);
+    if (from < 0 || (to !== undefined && to < 0)) return null;
+    if (to === undefined) {
+      days.add(from);
+    } else {
+      // Ranges may wrap around the week: "Fri-Mon"
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    }
+  }
+  return [...days].sort();
+}
+
+// "Mon-Fri 09:00-17:00; Sat 10-12" → schedule entries. Throws on bad input
+// so the popup can tell the user which part it didn't understand.
+function parseSchedule(text) {
+  return text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(.+?)\s+(\d{1,2}(?::\d{2})?)\s*-\s*(\d{1,2}(?::\d{2})?)$/);
+    const days = match && parseDays(match[1].trim());
+    const start = match && parseClock(match[2]);
+    const end = match && parseClock(match[3]);
+    if (!days || start === null || end === null) {
+      throw new Error(`Couldn't read "${part}" — use e.g. "Mon-Fri 09:00-17:00"`);
+    }
+    return { days, start: formatClock(start), end: formatClock(end) };
+  });
+}
+
+function formatSchedule(schedule = []) {
+  return schedule.map(entry => {
+    const names = entry.days.map(d => DAY_NAMES[d]);
+    const isRun = entry.days.length > 2
+      && entry.days.every((d, i) => i === 0 || d === entry.days[i - 1] + 1);
+    const days = entry.days.length === 7 ? 'Daily'
+      : isRun ? `${names[0]}-${names[names.length - 1]}`
+      : names.join(',');
+    return `${days} ${entry.start}-${entry.end}`;
+  }).join('; ');
+}
+
+// Does any entry cover `date`? Windows past midnight ("22:00-02:00") count
+// for the day they start on.
+function scheduleMatches(schedule = [], date = new Date()) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  return schedule.some(entry => {
+    const start = parseClock(entry.start);
+    const end = parseClock(entry.end);
+    if (start <= end) return entry.days.includes(today) && now >= start && now < end;
+    return (entry.days.includes(today) && now >= start)
+      || (entry.days.includes(yesterday) && now < end);
+  });
+}
+
+// Scheduled profile for `date` if any, else the manually selected one
+function resolveActiveProfile(profiles, manualId, date = new Date()) {
+  const scheduled = profiles.find(p => scheduleMatches(p.schedule, date));
+  if (scheduled) return { profile: scheduled, scheduled: true };
+  const manual = profiles.find(p => p.id === manualId) || profiles[0];
+  return { profile: manual, scheduled: false };
+}
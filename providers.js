@@ -0,0 +1,248 @@
+// YouTube Algorithm Control - LLM Providers
+// One adapter per API shape. Each adapter knows its defaults (base URL, model
+// roster with rate limits), how to build a request for a prompt, and where the
+// completion text and token usage live in the response. Loaded by background.js,
+// popup.html and options.html.
+//
+// A roster entry is { name, enabled, rpm, tpm, rpd } — requests per minute,
+// tokens per minute and requests per day, null meaning unlimited.
+//
+// buildRequest() takes an optional JSON schema for the response; adapters with
+// a structured-output mode enforce it, the others rely on the prompt alone.
+// It also takes optional images — [{ label, mimeType, data (base64) }] — sent
+// after the prompt, each preceded by its label. The chosen model has to be
+// vision-capable; none of these APIs say so up front.
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types and no
+// additionalProperties
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'additionalProperties') continue;
+    if (key === 'type') converted.type = String(value).toUpperCase();
+    else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [name, toGeminiSchema(prop)])
+      );
+    } else converted[key] = toGeminiSchema(value);
+  }
+  return converted;
+}
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    // Spread requests across models — each has its own rate limit.
+    // Free-tier budgets; paid keys can raise them in the options page.
+    models: [
+      { name: 'gemini-2.5-flash', rpm: 10, tpm: 250000, rpd: 250 },
+      { name: 'gemini-2.5-flash-lite', rpm: 15, tpm: 250000, rpd: 1000 },
+      { name: 'gemini-3-flash-preview', rpm: 5, tpm: 250000, rpd: 100 },
+    ],
+    customLimits: { rpm: 5, tpm: 250000, rpd: 100 }, // for models the user adds
+    needsKey: true,
+    supportsSchema: true,
+    buildRequest({ baseUrl, apiKey }, model, prompt, schema, images = []) {
+      const parts = [{ text: prompt }];
+      images.forEach(image => {
+        parts.push({ text: image.label }, { inline_data: { mime_type: image.mimeType, data: image.data } });
+      });
+      const body = { contents: [{ parts }] };
+      if (schema) {
+        body.generationConfig = {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(schema),
+        };
+      }
+      return {
+        // Key in a header, not the URL, so it stays out of logs and error details
+        url: `${baseUrl}/models/${model}:generateContent`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+          body: JSON.stringify(body),
+        },
+      };
+    },
+    extractText(json) {
+      return json.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+    extractUsage(json) {
+      return json.usageMetadata?.totalTokenCount ?? null;
+    },
+  },
+
+  // Chat Completions shape — also covers llama.cpp server, LM Studio and vLLM
+  openai: {
+    label: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    models: [{ name: 'gpt-4o-mini', rpm: 60, tpm: 200000, rpd: null }],
+    customLimits: { rpm: 60, tpm: null, rpd: null },
+    // Response headers with the key's limits (reported by the "Test key" button)
+    limitHeaders: { rpm: 'x-ratelimit-limit-requests', tpm: 'x-ratelimit-limit-tokens' },
+    needsKey: false, // local servers usually run without one
+    supportsSchema: true,
+    buildRequest({ baseUrl, apiKey }, model, prompt, schema, images = []) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const content = images.length === 0 ? prompt : [
+        { type: 'text', text: prompt },
+        ...images.flatMap(image => [
+          { type: 'text', text: image.label },
+          { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } },
+        ]),
+      ];
+      const body = {
+        model,
+        temperature: 0,
+        messages: [{ role: 'user', content }],
+      };
+      if (schema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', strict: true, schema },
+        };
+      }
+      return {
+        url: `${baseUrl}/chat/completions`,
+        init: { method: 'POST', headers, body: JSON.stringify(body) },
+      };
+    },
+    extractText(json) {
+      return json.choices?.[0]?.message?.content;
+    },
+    extractUsage(json) {
+      return json.usage?.total_tokens ?? null;
+    },
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    models: [{ name: 'claude-haiku-4-5', rpm: 40, tpm: 50000, rpd: null }],
+    customLimits: { rpm: 40, tpm: null, rpd: null },
+    limitHeaders: { rpm: 'anthropic-ratelimit-requests-limit', tpm: 'anthropic-ratelimit-tokens-limit' },
+    needsKey: true,
+    supportsSchema: false, // Messages API has no schema mode — the prompt carries the format
+    buildRequest({ baseUrl, apiKey }, model, prompt, schema, images = []) {
+      const content = images.length === 0 ? prompt : [
+        { type: 'text', text: prompt },
+        ...images.flatMap(image => [
+          { type: 'text', text: image.label },
+          { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } },
+        ]),
+      ];
+      return {
+        url: `${baseUrl}/messages`,
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+            // Required for calls made from an extension origin
+            'anthropic-dangerous-direct-browser-access': 'true',
+          },
+          body: JSON.stringify({
+            model,
+            max_tokens: 2048,
+            messages: [{ role: 'user', content }],
+          }),
+        },
+      };
+    },
+    extractText(json) {
+      return json.content?.find(block => block.type === 'text')?.text;
+    },
+    extractUsage(json) {
+      const usage = json.usage;
+      return usage ? (usage.input_tokens || 0) + (usage.output_tokens || 0) : null;
+    },
+  },
+
+  // Local Ollama server. Start it with OLLAMA_ORIGINS=chrome-extension://*
+  // or it rejects requests from the extension.
+  ollama: {
+    label: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434',
+    // No remote quota to protect
+    models: [{ name: 'llama3.2', rpm: null, tpm: null, rpd: null }],
+    customLimits: { rpm: null, tpm: null, rpd: null },
+    needsKey: false,
+    supportsSchema: true,
+    buildRequest({ baseUrl }, model, prompt, schema, images = []) {
+      // Ollama takes bare images on the message, so the labels go into the text
+      // in the same order
+      const labels = images.map((image, i) => `Image ${i + 1}: ${image.label}`).join('\n');
+      const message = { role: 'user', content: images.length ? `${prompt}\n\n${labels}` : prompt };
+      if (images.length) message.images = images.map(image => image.data);
+      const body = {
+        model,
+        stream: false,
+        options: { temperature: 0 },
+        messages: [message],
+      };
+      if (schema) body.format = schema;
+      return {
+        url: `${baseUrl}/api/chat`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        },
+      };
+    },
+    extractText(json) {
+      return json.message?.content;
+    },
+    extractUsage(json) {
+      return json.prompt_eval_count !== undefined
+        ? json.prompt_eval_count + (json.eval_count || 0)
+        : null;
+    },
+  },
+};
+
+// Stored roster → full roster entries. Older versions stored plain model names
+// ("gemini-2.5-flash"); those pick up the adapter's limits for that model, or
+// its customLimits for names it doesn't know.
+function normalizeModels(id, storedModels = []) {
+  const adapter = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+  const entries = storedModels
+    .map(model => (typeof model === 'string' ? { name: model } : model))
+    .filter(model => model && String(model.name || '').trim());
+  if (entries.length === 0) return adapter.models.map(model => ({ ...model, enabled: true }));
+
+  return entries.map(model => {
+    const name = model.name.trim();
+    const defaults = adapter.models.find(m => m.name === name) || adapter.customLimits;
+    const limit = key => (model[key] === undefined ? defaults[key] : model[key]);
+    return {
+      name,
+      enabled: model.enabled !== false,
+      rpm: limit('rpm'),
+      tpm: limit('tpm'),
+      rpd: limit('rpd'),
+    };
+  });
+}
+
+// Merge a provider's stored settings over its defaults.
+// `stored` is the providerSettings[id] object saved by the popup and options page.
+// `models` holds only the enabled roster entries.
+function resolveProviderConfig(id, stored = {}) {
+  const adapter = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+  const providerId = PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+  return {
+    id: providerId,
+    adapter,
+    baseUrl: (stored.baseUrl || adapter.baseUrl).replace(/\/+$/, ''),
+    apiKey: stored.apiKey || '',
+    models: normalizeModels(providerId, stored.models).filter(model => model.enabled),
+  };
+}
@@ -0,0 +1,93 @@
+// YouTube Algorithm Control - Rule Engine
+// Deterministic rules checked in the content script before anything is sent
+// to the LLM. A matching rule decides the video outright with a fixed score.
+//
+// Stored as `rules` in chrome.storage.local:
+//   { allowChannels: [], blockChannels: [], allowKeywords: [], blockKeywords: [],
+//     minMinutes: null, maxMinutes: null }
+// Plain keywords match titles case-insensitively; "/pattern/flags" is a regex.
+// Block rules win over allow rules.
+
+const RULE_SCORES = { allow: 1, block: 0 };
+
+// "1:02:03" / "12:34" → seconds. Live/premiere badges have no duration → null
+function parseDuration(text) {
+  if (!text || !/^\d+(:\d{1,2}){1,2}$/.test(text.trim())) return null;
+  return text.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Keyword rule → { label, test(title) }, or null if it's an invalid regex
+function compilePattern(text) {
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // Drop g/y — they make test() stateful across titles
+      const re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      return { label: text, test: title => re.test(title) };
+    } catch {
+      console.warn(`[YT-Control] Ignoring invalid rule regex: ${text}`);
+      return null;
+    }
+  }
+  const needle = text.toLowerCase();
+  return { label: text, test: title => title.toLowerCase().includes(needle) };
+}
+
+function cleanList(list) {
+  return (list || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Pre-process stored rules once per change instead of per video
+function compileRules(rules = {}) {
+  const toNumber = value => (value === null || value === '' || value === undefined ? null : Number(value));
+  return {
+    allowChannels: new Set(cleanList(rules.allowChannels).map(c => c.toLowerCase())),
+    blockChannels: new Set(cleanList(rules.blockChannels).map(c => c.toLowerCase())),
+    allowKeywords: cleanList(rules.allowKeywords).map(compilePattern).filter(Boolean),
+    blockKeywords: cleanList(rules.blockKeywords).map(compilePattern).filter(Boolean),
+    minSeconds: toNumber(rules.minMinutes) !== null ? toNumber(rules.minMinutes) * 60 : null,
+    maxSeconds: toNumber(rules.maxMinutes) !== null ? toNumber(rules.maxMinutes) * 60 : null,
+  };
+}
+
+function hasRules(compiled) {
+  return compiled.allowChannels.size > 0 || compiled.blockChannels.size > 0
+    || compiled.allowKeywords.length > 0 || compiled.blockKeywords.length > 0
+    || compiled.minSeconds !== null || compiled.maxSeconds !== null;
+}
+
+// Returns { verdict: 'allow' | 'block', score, reason } for the first matching
+// rule, or null when the LLM should decide.
+function evaluateRules(video, compiled) {
+  const channel = (video.channel || '').toLowerCase();
+  const title = video.title || '';
+  const decide = (verdict, reason) => ({ verdict, score: RULE_SCORES[verdict], reason });
+
+  if (channel && compiled.blockChannels.has(channel)) {
+    return decide('block', `Channel "${video.channel}" is on your block list`);
+  }
+  const blockedBy = compiled.blockKeywords.find(pattern => pattern.test(title));
+  if (blockedBy) {
+    return decide('block', `Title matches blocked keyword ${blockedBy.label}`);
+  }
+
+  const seconds = parseDuration(video.duration);
+  if (seconds !== null) {
+    if (compiled.minSeconds !== null && seconds < compiled.minSeconds) {
+      return decide('block', `Shorter than ${compiled.minSeconds / 60} min`);
+    }
+    if (compiled.maxSeconds !== null && seconds > compiled.maxSeconds) {
+      return decide('block', `Longer than ${compiled.maxSeconds / 60} min`);
+    }
+  }
+
+  if (channel && compiled.allowChannels.has(channel)) {
+    return decide('allow', `Channel "${video.channel}" is on your allow list`);
+  }
+  const allowedBy = compiled.allowKeywords.find(pattern => pattern.test(title));
+  if (allowedBy) {
+    return decide('allow', `Title matches allowed keyword ${allowedBy.label}`);
+  }
+
+  return null;
+}
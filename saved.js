@@ -0,0 +1,72 @@
+// YouTube Algorithm Control - Worth Watching
+// A local, deduplicated list of the videos that scored at or above a threshold,
+// collected across sessions so good picks that scroll past aren't lost.
+// Loaded by background.js (the only writer), options.html (the list browser)
+// and the content scripts (shelf.js collects videos and draws the home shelf).
+//
+// Settings (`worthWatching` in chrome.storage.local): { minScore: 0-1, homeShelf: boolean }
+// List (`savedVideos`): { [videoId]: { videoId, title, channel, url, thumbnail,
+//   duration, short, score, savedAt, seenAt, status: 'new' | 'watched' | 'dismissed' } }
+// Dismissed videos stay in the list so they aren't saved again.
+
+const WORTH_WATCHING_DEFAULTS = { minScore: 0.85, homeShelf: false };
+const SAVED_MAX = 500;
+const SAVED_STATUSES = ['new', 'watched', 'dismissed'];
+
+function normalizeWorthWatching(value) {
+  const source = value && typeof value === 'object' ? value : {};
+  return {
+    minScore: Number.isFinite(source.minScore) && source.minScore >= 0 && source.minScore <= 1
+      ? source.minScore
+      : WORTH_WATCHING_DEFAULTS.minScore,
+    homeShelf: typeof source.homeShelf === 'boolean' ? source.homeShelf : WORTH_WATCHING_DEFAULTS.homeShelf,
+  };
+}
+
+function savedUrl(entry) {
+  if (entry.url) return entry.url;
+  return `https://www.youtube.com/${entry.short ? `shorts/${entry.videoId}` : `watch?v=${entry.videoId}`}`;
+}
+
+// Parsed thumbnails can be lazy-load placeholders; the video ID always works
+function savedThumbnail(entry) {
+  return /^https:\/\//.test(entry.thumbnail || '') ? entry.thumbnail : `https://i.ytimg.com/vi/${entry.videoId}/mqdefault.jpg`;
+}
+
+// 'score': best first, newer breaking ties; 'date': newest first
+function sortSavedVideos(entries, by = 'score') {
+  return [...entries].sort((a, b) => (by === 'score' ? b.score - a.score : 0) || b.savedAt - a.savedAt);
+}
+
+// Add or refresh videos ({ videoId, title, channel, url, thumbnail, duration,
+// short, score }). Known videos keep their status and first-saved time.
+function mergeSavedVideos(saved, videos, now = Date.now()) {
+  const next = { ...saved };
+  videos.forEach(video => {
+    if (!video.videoId) return;
+    const existing = next[video.videoId];
+    next[video.videoId] = {
+      videoId: video.videoId,
+      title: video.title,
+      channel: video.channel || null,
+      url: video.url || null,
+      thumbnail: video.thumbnail || (existing && existing.thumbnail) || null,
+      duration: video.duration || null,
+      short: !!video.short,
+      score: video.score,
+      savedAt: existing ? existing.savedAt : now,
+      seenAt: now,
+      status: existing ? existing.status : 'new',
+    };
+  });
+
+  // Over the cap: dismissed go first, then watched, then the weakest picks
+  const entries = Object.values(next);
+  if (entries.length <= SAVED_MAX) return next;
+  const rank = { dismissed: 0, watched: 1, new: 2 };
+  entries
+    .sort((a, b) => rank[a.status] - rank[b.status] || a.score - b.score || a.seenAt - b.seenAt)
+    .slice(0, entries.length - SAVED_MAX)
+    .forEach(entry => delete next[entry.videoId]);
+  return next;
+}
@@ -0,0 +1,301 @@
+// YouTube Algorithm Control - Settings Export, Import and Sync
+// Versioned settings files and the chrome.storage.sync mirror. Loaded by
+// background.js (which runs the sync) and options.html (export/import UI).
+// Needs providers.js, profiles.js, budgets.js and saved.js loaded first.
+//
+// A settings file:
+//   { format: 'yt-algorithm-control', version: 1, kind: 'settings' | 'profile',
+//     exportedAt, settings: { profiles, activeProfileId, ... } }
+// 'profile' files carry a single profile (settings.profiles has one entry) and
+// are merged into the existing list instead of replacing it — that's how a team
+// shares a standard profile. API keys are never exported or synced, provider
+// endpoints are only ever set locally, and steer mode is never switched on by
+// a file or by sync.
+
+const SETTINGS_FORMAT = 'yt-algorithm-control';
+const SETTINGS_VERSION = 1;
+
+// Keys a full export carries. Caches, logs and stats stay on the machine.
+const EXPORT_KEYS = [
+  'profiles', 'activeProfileId', 'enabled', 'surfaces', 'hideMode', 'overrides',
+  'steer', 'autoplayPolicy', 'shortsPolicy', 'thumbnailScoring', 'declickbait', 'watchBudgets', 'worthWatching', 'provider', 'providerSettings',
+];
+
+// Copy of providerSettings without API keys, plain or encrypted
+function stripSecrets(providerSettings = {}) {
+  return Object.fromEntries(Object.entries(providerSettings).map(([id, stored]) => {
+    const { apiKey, encryptedKey, ...rest } = stored || {};
+    return [id, rest];
+  }));
+}
+
+function buildExport(data, profileId = null) {
+  const settings = {};
+  if (profileId) {
+    settings.profiles = (data.profiles || []).filter(p => p.id === profileId);
+  } else {
+    EXPORT_KEYS.forEach(key => {
+      if (data[key] !== undefined) settings[key] = data[key];
+    });
+    if (settings.providerSettings) settings.providerSettings = stripSecrets(settings.providerSettings);
+  }
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    kind: profileId ? 'profile' : 'settings',
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+}
+
+// Older files → the current shape. Version 0 is a raw chrome.storage.local
+// dump from before files were versioned: single preferences/strictness/rules
+// instead of profiles, and rosters as plain model names.
+function migrateSettingsFile(file) {
+  if (!file || typeof file !== 'object') throw new Error('Not a settings file');
+  if (file.format === undefined && file.version === undefined) {
+    const { preferences, strictness, rules, ...rest } = file;
+    const settings = { ...rest };
+    if (!settings.profiles && (preferences || strictness || rules)) {
+      const profile = createProfile('Imported', { preferences, strictness, rules });
+      settings.profiles = [profile];
+      settings.activeProfileId = profile.id;
+    }
+    file = { format: SETTINGS_FORMAT, version: 0, kind: 'settings', settings };
+  }
+  if (file.format !== SETTINGS_FORMAT) throw new Error('Not a YT Algorithm Control settings file');
+  if (file.version > SETTINGS_VERSION) {
+    throw new Error(`This file is from a newer version (format ${file.version}) — update the extension first`);
+  }
+  return { ...file, version: SETTINGS_VERSION };
+}
+
+// Check every field and drop what doesn't fit. Throws when nothing usable is
+// left; otherwise returns { settings, warnings }.
+function validateSettings(settings = {}) {
+  const clean = {};
+  const warnings = [];
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const listOfStrings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+  if (settings.profiles !== undefined) {
+    if (!Array.isArray(settings.profiles)) {
+      warnings.push('profiles is not a list — skipped');
+    } else {
+      clean.profiles = settings.profiles.filter(isObject).map(p => {
+        const profile = createProfile(String(p.name || 'Imported').slice(0, 60));
+        if (typeof p.id === 'string' && p.id) profile.id = p.id;
+        profile.preferences = typeof p.preferences === 'string' ? p.preferences : '';
+        profile.strictness = Number.isInteger(p.strictness) && p.strictness >= 1 && p.strictness <= 5 ? p.strictness : 3;
+        const rules = isObject(p.rules) ? p.rules : {};
+        profile.rules = {
+          allowChannels: listOfStrings(rules.allowChannels),
+          blockChannels: listOfStrings(rules.blockChannels),
+          allowKeywords: listOfStrings(rules.allowKeywords),
+          blockKeywords: listOfStrings(rules.blockKeywords),
+          minMinutes: Number.isFinite(rules.minMinutes) ? rules.minMinutes : null,
+          maxMinutes: Number.isFinite(rules.maxMinutes) ? rules.maxMinutes : null,
+        };
+        // Round-trip schedules through the parser so bad entries are caught here
+        try {
+          profile.schedule = parseSchedule(formatSchedule(Array.isArray(p.schedule) ? p.schedule : []));
+        } catch (err) {
+          warnings.push(`Schedule of "${profile.name}" dropped: ${err.message}`);
+        }
+        return profile;
+      });
+      if (clean.profiles.length < settings.profiles.length) warnings.push('Some profiles were malformed and skipped');
+    }
+  }
+
+  if (typeof settings.activeProfileId === 'string') clean.activeProfileId = settings.activeProfileId;
+  if (typeof settings.enabled === 'boolean') clean.enabled = settings.enabled;
+  if (typeof settings.thumbnailScoring === 'boolean') clean.thumbnailScoring = settings.thumbnailScoring;
+  if (typeof settings.declickbait === 'boolean') clean.declickbait = settings.declickbait;
+  if (['hide', 'dim'].includes(settings.hideMode)) clean.hideMode = settings.hideMode;
+  if (['swap', 'cancel', 'off'].includes(settings.autoplayPolicy)) clean.autoplayPolicy = settings.autoplayPolicy;
+  if (isObject(settings.shortsPolicy)) {
+    const { mode, minStrictness, player } = settings.shortsPolicy;
+    clean.shortsPolicy = {
+      mode: ['score', 'hide', 'strictness'].includes(mode) ? mode : 'score',
+      minStrictness: Number.isInteger(minStrictness) && minStrictness >= 1 && minStrictness <= 5 ? minStrictness : 4,
+      player: ['off', 'skip', 'block'].includes(player) ? player : 'off',
+    };
+  }
+  if (isObject(settings.watchBudgets)) clean.watchBudgets = normalizeBudgets(settings.watchBudgets);
+  if (isObject(settings.worthWatching)) clean.worthWatching = normalizeWorthWatching(settings.worthWatching);
+  if (isObject(settings.surfaces)) {
+    clean.surfaces = Object.fromEntries(
+      Object.entries(settings.surfaces).filter(([, on]) => typeof on === 'boolean')
+    );
+  }
+  if (isObject(settings.overrides)) {
+    clean.overrides = Object.fromEntries(
+      Object.entries(settings.overrides).filter(([, value]) => value === 'show' || value === 'hide')
+    );
+  }
+  if (isObject(settings.steer)) {
+    // Defaults mirror STEER_DEFAULTS in steer.js. Steering acts on the YouTube
+    // account, so it stays a local opt-in: an imported file never turns it on
+    // (mergeImport keeps the local on/off).
+    const { threshold, action, dailyCap } = settings.steer;
+    clean.steer = {
+      enabled: false,
+      threshold: Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : 0.1,
+      action: ['notInterested', 'dontRecommend'].includes(action) ? action : 'notInterested',
+      dailyCap: Number.isInteger(dailyCap) && dailyCap >= 0 && dailyCap <= 100 ? dailyCap : 20,
+    };
+    if (settings.steer.enabled === true) warnings.push("Steer mode's on/off isn't imported — this browser keeps its own");
+  }
+  if (typeof settings.provider === 'string') {
+    if (PROVIDERS[settings.provider]) clean.provider = settings.provider;
+    else warnings.push(`Unknown provider "${settings.provider}" — kept the current one`);
+  }
+  if (isObject(settings.providerSettings)) {
+    clean.providerSettings = {};
+    Object.entries(stripSecrets(settings.providerSettings)).forEach(([id, stored]) => {
+      if (!PROVIDERS[id] || !isObject(stored)) return;
+      clean.providerSettings[id] = {
+        baseUrl: typeof stored.baseUrl === 'string' ? stored.baseUrl : '',
+        models: normalizeModels(id, Array.isArray(stored.models) ? stored.models : []),
+      };
+    });
+  }
+
+  if (Object.keys(clean).length === 0) throw new Error('The file has no settings this version understands');
+  return { settings: clean, warnings };
+}
+
+// Incoming provider settings (imported or synced) over the local ones.
+// Providers it doesn't mention keep their local settings. API keys and
+// endpoints always stay local: a key is only ever sent to the endpoint the
+// user set on this machine, never to one a file or another browser names.
+function mergeProviderSettings(incoming, local = {}) {
+  const merged = { ...local };
+  Object.entries(incoming).forEach(([id, stored]) => {
+    merged[id] = { ...stored, baseUrl: local[id]?.baseUrl || '', apiKey: local[id]?.apiKey || '' };
+    if (local[id]?.encryptedKey) merged[id].encryptedKey = local[id].encryptedKey;
+    else delete merged[id].encryptedKey;
+  });
+  return merged;
+}
+
+// Merge validated settings into what's stored. Full files replace each key
+// they carry; profile files add their profile, replacing one with the same
+// name. Local API keys are always kept.
+function mergeImport(kind, imported, current) {
+  if (kind === 'profile') {
+    const profiles = [...(current.profiles || [])];
+    (imported.profiles || []).forEach(profile => {
+      const existing = profiles.findIndex(p => p.name === profile.name);
+      if (existing >= 0) profiles[existing] = { ...profile, id: profiles[existing].id };
+      else profiles.push({ ...profile, id: createProfile(profile.name).id });
+    });
+    return { profiles };
+  }
+
+  const updates = { ...imported };
+  if (updates.providerSettings) {
+    updates.providerSettings = mergeProviderSettings(updates.providerSettings, current.providerSettings);
+  }
+  if (updates.steer) updates.steer.enabled = !!current.steer?.enabled;
+  if (updates.profiles && !updates.profiles.some(p => p.id === updates.activeProfileId)) {
+    updates.activeProfileId = updates.profiles[0]?.id;
+  }
+  return updates;
+}
+
+// Parse, migrate, validate and merge a settings file's text.
+// Returns { updates, warnings, kind } ready for chrome.storage.local.set().
+async function importSettingsText(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const migrated = migrateSettingsFile(file);
+  const { settings, warnings } = validateSettings(migrated.settings);
+  const current = await chrome.storage.local.get(['profiles', 'providerSettings', 'steer']);
+  Object.entries(settings.providerSettings || {}).forEach(([id, stored]) => {
+    if (stored.baseUrl && stored.baseUrl !== (current.providerSettings?.[id]?.baseUrl || '')) {
+      warnings.push(`${PROVIDERS[id].label} endpoint ${stored.baseUrl} not imported — set endpoints on this machine`);
+    }
+  });
+  return { updates: mergeImport(migrated.kind, settings, current), warnings, kind: migrated.kind };
+}
+
+// chrome.storage.sync mirror (opt-in, `syncSettings` in local storage).
+// Sync items are capped at 8 KB, so each key is stored as JSON split into
+// chunks: "sync:<key>" → { chunks: n }, "sync:<key>#0".."sync:<key>#n-1" →
+// string. The prefix keeps sync items from looking like local settings to
+// onChanged listeners.
+// Overrides stay local: they're per-video, grow with every click and would
+// eat the 100 KB sync total on their own.
+const SYNC_KEYS = EXPORT_KEYS.filter(key => key !== 'overrides');
+const SYNC_PREFIX = 'sync:';
+const SYNC_ITEM_BYTES = 4000; // half of QUOTA_BYTES_PER_ITEM, counted the way sync counts it
+
+// A key's value as it's mirrored: no API keys or endpoints (see
+// mergeProviderSettings), and no steer on/off — that's a per-browser opt-in
+// like it is for imports
+function syncValue(key, value) {
+  if (key === 'providerSettings') {
+    return Object.fromEntries(Object.entries(stripSecrets(value)).map(([id, { baseUrl, ...rest }]) => [id, rest]));
+  }
+  if (key === 'steer' && value && typeof value === 'object') {
+    const { enabled, ...rest } = value;
+    return rest;
+  }
+  return value;
+}
+
+// "sync:steer#2" → 'steer', or null for items that aren't ours
+function syncItemBase(item) {
+  return item.startsWith(SYNC_PREFIX) ? item.slice(SYNC_PREFIX.length).split('#')[0] : null;
+}
+
+// What an item costs against the sync quotas: its key plus its value as JSON, in UTF-8
+function syncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function toSyncItems(key, value) {
+  const json = JSON.stringify(syncValue(key, value));
+  const items = {};
+  let chunks = 0;
+  let start = 0;
+  while (start < json.length) {
+    const itemKey = `${SYNC_PREFIX}${key}#${chunks++}`;
+    let end = Math.min(json.length, start + SYNC_ITEM_BYTES);
+    // Quotes and non-ASCII text grow when the chunk is stringified again;
+    // every character dropped saves at least a byte
+    let over;
+    while ((over = syncItemBytes(itemKey, json.slice(start, end)) - SYNC_ITEM_BYTES) > 0) end -= over;
+    items[itemKey] = json.slice(start, end);
+    start = end;
+  }
+  items[SYNC_PREFIX + key] = { chunks };
+  return items;
+}
+
+// All mirrored keys currently in sync storage, reassembled
+function fromSyncItems(items) {
+  const values = {};
+  SYNC_KEYS.forEach(key => {
+    const header = items[SYNC_PREFIX + key];
+    if (!header || !header.chunks) return;
+    let json = '';
+    for (let i = 0; i < header.chunks; i++) {
+      const chunk = items[`${SYNC_PREFIX}${key}#${i}`];
+      if (typeof chunk !== 'string') return; // mid-update — wait for the rest
+      json += chunk;
+    }
+    try {
+      values[key] = JSON.parse(json);
+    } catch {
+      // Half-synced chunk set; the next change event brings the rest
+    }
+  });
+  return values;
+}
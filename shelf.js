@@ -0,0 +1,142 @@
+// YouTube Algorithm Control - Worth Watching Shelf
+// Sends every video that scores at or above the threshold to the background's
+// "worth watching" list (saved.js), marks saved videos watched when they're
+// opened, and optionally puts a shelf of the best unwatched picks from earlier
+// sessions at the top of the home feed.
+// Uses content.js state (videoState, filteringEnabled) and helpers.
+
+const SHELF_SIZE = 6;
+const SHELF_RETRY_MS = 1000;
+const SHELF_MAX_RETRIES = 10; // the home grid renders a little after navigation
+const PAGE_LOADED_AT = Date.now(); // "earlier sessions" = saved before this page load
+
+let worthWatching = normalizeWorthWatching();
+let savedVideos = {};
+let shelfRetryTimer = null;
+
+chrome.storage.local.get(['worthWatching', 'savedVideos'], (data) => {
+  worthWatching = normalizeWorthWatching(data.worthWatching);
+  savedVideos = data.savedVideos || {};
+  markOpenedVideoWatched();
+  updateShelf();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.worthWatching) worthWatching = normalizeWorthWatching(changes.worthWatching.newValue);
+  if (changes.savedVideos) savedVideos = changes.savedVideos.newValue || {};
+  if (changes.worthWatching || changes.savedVideos || changes.enabled || changes.snoozeUntil) updateShelf();
+});
+
+// Called by content.js requestScores() with the videos it just scored. Only
+// model scores count — offline estimates are guesses, and rule decisions
+// (an allowed channel scores 1.0) would crowd out everything else.
+function collectWorthWatching(scored) {
+  const videos = scored
+    .map(v => ({ v, state: videoState.get(tileKey(v.element)) }))
+    .filter(({ v, state }) => v.videoId && state && !state.provisional && !state.rule && state.score >= worthWatching.minScore)
+    .map(({ v, state }) => ({
+      videoId: v.videoId,
+      title: v.title,
+      channel: v.channel,
+      url: v.url,
+      thumbnail: v.thumbnail,
+      duration: v.duration,
+      short: !!v.short,
+      score: state.score,
+    }));
+  if (videos.length === 0) return;
+  chrome.runtime.sendMessage({ type: 'saveWorthWatching', videos }).catch(() => {});
+}
+
+function setSavedVideoStatus(videoId, status) {
+  chrome.runtime.sendMessage({ type: 'savedVideoStatus', videoId, status }).catch(() => {});
+}
+
+// Opening a saved video counts as watching it
+function markOpenedVideoWatched() {
+  const videoId = onWatchPage() ? getVideoId(location.href) : null;
+  if (videoId && savedVideos[videoId] && savedVideos[videoId].status === 'new') {
+    setSavedVideoStatus(videoId, 'watched');
+  }
+}
+
+// Best unwatched picks saved before this page load
+function shelfPicks() {
+  const earlier = Object.values(savedVideos).filter(entry => entry.status === 'new' && entry.savedAt < PAGE_LOADED_AT);
+  return sortSavedVideos(earlier, 'score').slice(0, SHELF_SIZE);
+}
+
+function buildShelfCard(entry) {
+  const card = document.createElement('div');
+  card.className = 'ytc-shelf-card';
+  card.innerHTML = `
+    <a class="ytc-shelf-link">
+      <img alt="">
+      <div class="ytc-shelf-title"></div>
+    </a>
+    <div class="ytc-shelf-meta">
+      <span></span>
+      <button data-status="watched" title="Mark watched">✓</button>
+      <button data-status="dismissed" title="Dismiss">✕</button>
+    </div>
+  `;
+  card.querySelector('a').href = savedUrl(entry);
+  card.querySelector('img').src = savedThumbnail(entry);
+  card.querySelector('.ytc-shelf-title').textContent = entry.title;
+  card.querySelector('.ytc-shelf-meta span').textContent =
+    [entry.channel, `${Math.round(entry.score * 100)}%`].filter(Boolean).join(' · ');
+  card.querySelectorAll('button').forEach(btn => btn.addEventListener('click', () => {
+    setSavedVideoStatus(entry.videoId, btn.dataset.status);
+  }));
+  return card;
+}
+
+function removeShelf() {
+  document.querySelectorAll('.ytc-shelf').forEach(shelf => shelf.remove());
+}
+
+// Draw, refresh or remove the home shelf to match the settings and the list
+function updateShelf(attempt = 0) {
+  clearTimeout(shelfRetryTimer);
+  const picks = location.pathname === '/' && filteringEnabled && worthWatching.homeShelf ? shelfPicks() : [];
+  if (picks.length === 0) {
+    removeShelf();
+    return;
+  }
+  const grid = document.querySelector('ytd-browse[page-subtype="home"] ytd-rich-grid-renderer');
+  if (!grid) {
+    if (attempt < SHELF_MAX_RETRIES) shelfRetryTimer = setTimeout(() => updateShelf(attempt + 1), SHELF_RETRY_MS);
+    return;
+  }
+
+  let shelf = grid.querySelector('.ytc-shelf');
+  if (!shelf) {
+    shelf = document.createElement('div');
+    shelf.className = 'ytc-shelf';
+    shelf.innerHTML = `
+      <div class="ytc-shelf-header">
+        <span>Worth watching · saved in earlier sessions</span>
+        <a class="ytc-shelf-all">See all</a>
+      </div>
+      <div class="ytc-shelf-row"></div>
+    `;
+    // Options page links can't be opened from the page itself — ask the background
+    shelf.querySelector('.ytc-shelf-all').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'openSavedVideos' }).catch(() => {});
+    });
+    const contents = grid.querySelector(':scope > #contents');
+    if (contents) contents.before(shelf);
+    else grid.prepend(shelf);
+  }
+  const row = shelf.querySelector('.ytc-shelf-row');
+  row.textContent = '';
+  picks.forEach(entry => row.appendChild(buildShelfCard(entry)));
+}
+
+document.addEventListener('yt-navigate-finish', () => {
+  markOpenedVideoWatched();
+  updateShelf();
+});
+// YouTube can re-render the grid on the same page, dropping the shelf
+document.addEventListener('yt-page-data-updated', () => updateShelf());
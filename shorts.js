@@ -0,0 +1,168 @@
+// YouTube Algorithm Control - Shorts
+// Shorts policy: score Shorts tiles like any other video, hide Shorts shelves
+// outright, or hide them only at strictness N and above. The /shorts/ player
+// is covered separately — a Short that would be dimmed or hidden in the feed
+// is either skipped or blocked behind an overlay.
+// Uses content.js state (strictness, thresholds) and autoplay.js scoring helpers.
+//
+// Setting (`shortsPolicy` in chrome.storage.local):
+//   { mode: 'score' | 'hide' | 'strictness', minStrictness: 1-5, player: 'off' | 'skip' | 'block' }
+
+const SHORTS_DEFAULT_POLICY = { mode: 'score', minStrictness: 4, player: 'off' };
+const SHORTS_POLL_MS = 1000; // the Shorts player swaps videos without a page navigation
+const SHORTS_MAX_SKIPS = 10; // in a row — past this we block instead of racing through the feed
+
+let shortsPolicy = SHORTS_DEFAULT_POLICY;
+let shortsPlayerTimer = null;
+let decidedShort = null; // video ID of the Short we last vetted
+let shortsSkippedInRow = 0;
+
+chrome.storage.local.get('shortsPolicy', (data) => {
+  shortsPolicy = { ...SHORTS_DEFAULT_POLICY, ...data.shortsPolicy };
+  updateShortsShelves();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.shortsPolicy) {
+    shortsPolicy = { ...SHORTS_DEFAULT_POLICY, ...changes.shortsPolicy.newValue };
+    console.log('[YT-Control] Shorts policy:', shortsPolicy);
+    decidedShort = null;
+    removeShortsBlock();
+  }
+  if (changes.shortsPolicy || changes.strictness || changes.enabled || changes.snoozeUntil) {
+    const wasHidden = document.documentElement.classList.contains('ytc-hide-shorts');
+    // Shelves that come back into view need scoring; the parsers skipped them while hidden
+    if (!updateShortsShelves() && wasHidden && filteringEnabled) processVideos();
+  }
+});
+
+// Whether Shorts shelves are hidden outright under the current policy and strictness
+function shortsShelvesHidden() {
+  if (!filteringEnabled) return false;
+  if (shortsPolicy.mode === 'hide') return true;
+  return shortsPolicy.mode === 'strictness' && currentStrictness >= shortsPolicy.minStrictness;
+}
+
+// Called by the content.js parsers — no point scoring Shorts nobody will see
+function shouldScoreShorts() {
+  return !shortsShelvesHidden();
+}
+
+// Toggle the CSS that hides Shorts shelves; returns whether they're hidden
+function updateShortsShelves() {
+  const hidden = shortsShelvesHidden();
+  document.documentElement.classList.toggle('ytc-hide-shorts', hidden);
+  return hidden;
+}
+
+// The Short currently playing in the /shorts/ player
+function readActiveShort() {
+  const videoId = getVideoId(location.href);
+  const reel = document.querySelector('ytd-reel-video-renderer[is-active]');
+  if (!videoId || !reel) return null;
+  const titleEl = reel.querySelector(
+    'yt-shorts-video-title-view-model h2, .ytShortsVideoTitleViewModelShortsVideoTitle, h2.title'
+  );
+  if (!titleEl || !titleEl.textContent.trim()) return null;
+  const channelEl = reel.querySelector('.ytReelChannelBarViewModelChannelName a, ytd-channel-name a');
+  return {
+    videoId,
+    title: titleEl.textContent.trim(),
+    channel: channelEl ? channelEl.textContent.trim() || null : null,
+    duration: null,
+    meta: '',
+    short: true,
+    reel,
+  };
+}
+
+function nextShort() {
+  const button = document.querySelector('#navigation-button-down button');
+  if (button) {
+    button.click();
+  } else {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40, bubbles: true }));
+  }
+}
+
+function keepPaused(event) {
+  if (document.querySelector('.ytc-shorts-block')) event.target.pause();
+}
+
+function blockShort(short, score) {
+  const video = short.reel.querySelector('video') || document.querySelector('#shorts-player video');
+  if (video) {
+    video.pause();
+    video.addEventListener('play', keepPaused);
+  }
+  const container = short.reel.querySelector('#player-container') || short.reel;
+  const block = document.createElement('div');
+  block.className = 'ytc-shorts-block';
+  block.innerHTML = `
+    <div>This Short doesn't match your preferences</div>
+    <div class="ytc-shorts-reason"></div>
+    <div>
+      <button data-action="next">Next Short</button>
+      <button data-action="watch">Watch anyway</button>
+    </div>
+  `;
+  block.querySelector('.ytc-shorts-reason').textContent = `"${short.title}" scored ${Math.round(score * 100)}%`;
+  block.querySelector('[data-action="next"]').addEventListener('click', () => {
+    removeShortsBlock();
+    nextShort();
+  });
+  block.querySelector('[data-action="watch"]').addEventListener('click', () => {
+    removeShortsBlock();
+    if (video) video.play();
+  });
+  container.appendChild(block);
+}
+
+function removeShortsBlock() {
+  document.querySelectorAll('.ytc-shorts-block').forEach(block => block.remove());
+  document.querySelectorAll('video').forEach(video => video.removeEventListener('play', keepPaused));
+}
+
+async function checkActiveShort() {
+  const short = readActiveShort();
+  if (!short || short.videoId === decidedShort) return;
+  decidedShort = short.videoId;
+  removeShortsBlock();
+  if (shortsPolicy.player === 'off' || !filteringEnabled) return;
+
+  let score = knownScore(short);
+  if (score === undefined) score = await fetchScore(short);
+  // The viewer may have swiped on while the model was deciding
+  if (short.videoId !== getVideoId(location.href)) return;
+  if (score === null || classifyScore(score) === 'shown') {
+    shortsSkippedInRow = 0;
+    return;
+  }
+
+  if (shortsPolicy.player === 'skip' && shortsSkippedInRow < SHORTS_MAX_SKIPS) {
+    shortsSkippedInRow++;
+    console.log(`[YT-Control] Shorts: "${short.title}" scored ${Math.round(score * 100)}%, skipping`);
+    nextShort();
+  } else {
+    console.log(`[YT-Control] Shorts: "${short.title}" scored ${Math.round(score * 100)}%, blocked`);
+    blockShort(short, score);
+  }
+}
+
+// Poll only while the Shorts player is open
+function watchShortsPlayer() {
+  const onShorts = location.pathname.startsWith('/shorts/');
+  if (onShorts && !shortsPlayerTimer) {
+    shortsPlayerTimer = setInterval(checkActiveShort, SHORTS_POLL_MS);
+  } else if (!onShorts && shortsPlayerTimer) {
+    clearInterval(shortsPlayerTimer);
+    shortsPlayerTimer = null;
+    decidedShort = null;
+    shortsSkippedInRow = 0;
+    removeShortsBlock();
+  }
+}
+
+document.addEventListener('yt-navigate-finish', watchShortsPlayer);
+watchShortsPlayer();
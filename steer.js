@@ -0,0 +1,146 @@
+// YouTube Algorithm Control - Steer Mode
+// Opt-in: feeds YouTube's own "Not interested" / "Don't recommend channel"
+// signals back for low-scoring home feed videos, so the algorithm learns too.
+// Works off the tiles and per-video scores content.js keeps (getScore).
+//
+// Settings (`steer` in chrome.storage.local):
+//   { enabled: false, threshold: 0.1, action: 'notInterested' | 'dontRecommend', dailyCap: 20 }
+// Every action is appended to `steerLog` so the popup can show and undo it.
+
+const STEER_DEFAULTS = { enabled: false, threshold: 0.1, action: 'notInterested', dailyCap: 20 };
+const STEER_GAP_MS = 30000; // at most one action every 30s (+ jitter) per tab
+const STEER_JITTER_MS = 10000;
+const STEER_LOG_MAX = 100;
+const MENU_TIMEOUT_MS = 2000;
+
+// Menu items are matched by their (English) label
+const STEER_ACTIONS = {
+  notInterested: { label: 'Not interested', pattern: /not interested/i },
+  dontRecommend: { label: "Don't recommend channel", pattern: /don.?t recommend channel/i },
+};
+
+let steerSettings = { ...STEER_DEFAULTS };
+const steerQueue = []; // { element, videoId, score } waiting for an action
+const steeredIds = new Set(); // video IDs handled on this page
+const undoButtons = new Map(); // video ID → YouTube's inline "Undo" button
+let steerTimer = null;
+
+chrome.storage.local.get('steer', (data) => {
+  steerSettings = { ...STEER_DEFAULTS, ...data.steer };
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.steer) {
+    steerSettings = { ...STEER_DEFAULTS, ...changes.steer.newValue };
+    console.log(`[YT-Control] Steer mode ${steerSettings.enabled ? 'ON' : 'OFF'}`);
+    if (!steerSettings.enabled) steerQueue.length = 0;
+  }
+});
+
+// Called by content.js after a tile is scored. Only the home feed offers both
+// menu actions, and overrides are the user's call — leave those alone.
+function queueSteer(element) {
+  if (!steerSettings.enabled || element.dataset.ytcSurface !== 'home') return;
+  const videoId = element.dataset.ytcVideoId;
+  if (!videoId || steeredIds.has(videoId) || getOverride(element)) return;
+  const score = getScore(element);
+  if (score === undefined || score >= steerSettings.threshold) return;
+
+  steeredIds.add(videoId);
+  steerQueue.push({ element, videoId, score });
+  scheduleSteer();
+}
+
+function scheduleSteer() {
+  if (steerTimer || steerQueue.length === 0) return;
+  const delay = STEER_GAP_MS + Math.random() * STEER_JITTER_MS;
+  steerTimer = setTimeout(async () => {
+    steerTimer = null;
+    await steerNext();
+    scheduleSteer();
+  }, delay);
+}
+
+async function steerNext() {
+  if (!steerSettings.enabled || !filteringEnabled) return;
+
+  const { steerLog = [] } = await chrome.storage.local.get('steerLog');
+  const today = new Date().toDateString();
+  const usedToday = steerLog.filter(entry => new Date(entry.time).toDateString() === today).length;
+  if (usedToday >= steerSettings.dailyCap) {
+    console.log(`[YT-Control] Steer daily cap reached (${steerSettings.dailyCap}), pausing until tomorrow`);
+    steerQueue.length = 0;
+    return;
+  }
+
+  const { element, videoId, score } = steerQueue.shift() || {};
+  // The tile may have been removed or recycled for another video since it was queued
+  const video = element && element.isConnected ? parseVideoData(element) : null;
+  if (!video || video.videoId !== videoId) return;
+
+  const action = STEER_ACTIONS[steerSettings.action] || STEER_ACTIONS.notInterested;
+  const done = await clickMenuItem(element, action.pattern);
+  if (!done) {
+    console.log(`[YT-Control] Steer: "${action.label}" not found for "${video.title}"`);
+    return;
+  }
+
+  console.log(`[YT-Control] Steer: ${action.label} → "${video.title}"`);
+  steerLog.push({
+    videoId: video.videoId,
+    title: video.title,
+    channel: video.channel,
+    action: steerSettings.action,
+    score,
+    time: new Date().toISOString(),
+  });
+  await chrome.storage.local.set({ steerLog: steerLog.slice(-STEER_LOG_MAX) });
+
+  // YouTube swaps the tile for a "Video removed · Undo" notice — keep its button
+  setTimeout(() => {
+    const undo = [...element.querySelectorAll('button')].find(btn => /undo/i.test(btn.textContent));
+    if (undo) undoButtons.set(video.videoId, undo);
+  }, 1000);
+}
+
+// Open the tile's overflow menu and click the item whose label matches
+async function clickMenuItem(element, pattern) {
+  const menuButton = element.querySelector(
+    '.yt-lockup-metadata-view-model__menu-button button, ytd-menu-renderer yt-icon-button button, ytd-menu-renderer #button'
+  );
+  if (!menuButton) return false;
+  menuButton.click();
+
+  const started = Date.now();
+  while (Date.now() - started < MENU_TIMEOUT_MS) {
+    await new Promise(r => setTimeout(r, 100));
+    const items = document.querySelectorAll(
+      'tp-yt-iron-dropdown:not([aria-hidden="true"]) yt-list-item-view-model, ' +
+      'tp-yt-iron-dropdown:not([aria-hidden="true"]) ytd-menu-service-item-renderer'
+    );
+    const item = [...items].find(el => pattern.test(el.textContent));
+    if (item) {
+      item.click();
+      return true;
+    }
+  }
+
+  // Close the menu we opened
+  document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  return false;
+}
+
+// Undo requests from the popup — only possible while YouTube's notice is still on the page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'steerUndo') {
+    const undo = undoButtons.get(message.videoId);
+    if (undo && undo.isConnected) {
+      undo.click();
+      undoButtons.delete(message.videoId);
+      sendResponse({ ok: true });
+    } else {
+      sendResponse({ ok: false });
+    }
+  }
+});
@@ -0,0 +1,196 @@
+// YouTube Algorithm Control - Watch Time
+// Tracks time spent playing videos on watch and Shorts pages, labels each
+// watched video with a budget category (budgets.js) and reports the seconds to
+// the background, which keeps the daily totals. With hard enforcement, a video
+// in a category that's over today's budget is blocked behind an interstitial.
+// Uses content.js state (preferences, thresholds), autoplay.js knownScore() and
+// shorts.js readActiveShort().
+
+const WATCH_TICK_MS = 5000;
+const WATCH_REPORT_MS = 30000; // one message per half minute of playback at most
+
+// Watch-page title and channel, current layout first
+const WATCH_SELECTORS = {
+  title: ['ytd-watch-metadata h1 yt-formatted-string', 'ytd-watch-metadata #title h1', 'h1.title'],
+  channel: ['ytd-watch-metadata ytd-channel-name a', '#owner ytd-channel-name a', '#upload-info #channel-name a'],
+  video: ['#movie_player video.html5-main-video', '#shorts-player video', 'video.html5-main-video'],
+};
+
+let watchBudgets = normalizeBudgets(BUDGET_DEFAULTS);
+let budgetOver = [];
+let watching = null; // { videoId, video, category, seconds }
+let watchTimer = null;
+let lastWatchTick = 0;
+let lastWatchReport = 0;
+const budgetAllowed = new Set(); // video IDs the viewer chose to watch over budget
+
+chrome.storage.local.get(['watchBudgets', 'budgetState'], (data) => {
+  watchBudgets = normalizeBudgets(data.watchBudgets);
+  budgetOver = data.budgetState ? data.budgetState.over : [];
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.watchBudgets) watchBudgets = normalizeBudgets(changes.watchBudgets.newValue);
+  if (changes.budgetState) budgetOver = changes.budgetState.newValue ? changes.budgetState.newValue.over : [];
+  if (changes.watchBudgets || changes.budgetState || changes.enabled || changes.snoozeUntil) enforceBudget();
+});
+
+function onWatchPage() {
+  return location.pathname === '/watch' || location.pathname.startsWith('/shorts/');
+}
+
+// The video being watched, or null while its page is still rendering
+function readWatchedVideo() {
+  if (location.pathname.startsWith('/shorts/')) return readActiveShort();
+  const videoId = getVideoId(location.href);
+  const titleEl = pickElement(document, WATCH_SELECTORS.title);
+  if (!videoId || !titleEl || !titleEl.textContent.trim()) return null;
+  const channelEl = pickElement(document, WATCH_SELECTORS.channel);
+  return {
+    videoId,
+    title: titleEl.textContent.trim(),
+    channel: channelEl ? channelEl.textContent.trim() || null : null,
+    duration: null,
+    meta: '',
+  };
+}
+
+// The scorer's category when it's one we budget; otherwise low-score when the
+// filter would dim or hide the video
+async function categorizeWatched(video) {
+  let response = null;
+  // No budgets, no model call — the score we already have is enough to track time
+  if (watchBudgets.budgets.length > 0) {
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'classifyWatch',
+        video: { id: video.videoId, title: video.title, channel: video.channel, meta: video.meta, short: !!video.short },
+        preferences: currentPreferences,
+      });
+    } catch (err) {
+      console.warn(`[YT-Control] Could not classify ${video.videoId}:`, err);
+    }
+  }
+  if (response && response.category && response.category !== OTHER_CATEGORY) return response.category;
+  const known = knownScore(video);
+  const score = known !== undefined ? known : response ? response.score : null;
+  return typeof score === 'number' && classifyScore(score) !== 'shown' ? LOW_SCORE_CATEGORY : OTHER_CATEGORY;
+}
+
+function reportWatchTime() {
+  lastWatchReport = Date.now();
+  if (!watching || !watching.category || watching.seconds < 1) return;
+  chrome.runtime.sendMessage({ type: 'watchTime', category: watching.category, seconds: watching.seconds }).catch(() => {});
+  watching.seconds = 0;
+}
+
+// Follow the URL: a new video flushes the old one's time and gets classified
+function syncWatchedVideo() {
+  const videoId = getVideoId(location.href);
+  if (watching && watching.videoId !== videoId) {
+    reportWatchTime();
+    removeBudgetBlock();
+    watching = null;
+  }
+  if (!videoId) return;
+  if (!watching) watching = { videoId, video: null, category: null, seconds: 0 };
+  if (watching.video) return;
+
+  const video = readWatchedVideo();
+  if (!video || video.videoId !== videoId) return;
+  watching.video = video;
+  const current = watching;
+  categorizeWatched(video).then(category => {
+    current.category = category;
+    if (current !== watching) return;
+    console.log(`[YT-Control] Watching "${video.title}" — counts towards ${category}`);
+    enforceBudget();
+  });
+}
+
+function watchTick() {
+  const now = Date.now();
+  const elapsed = Math.min(now - lastWatchTick, WATCH_TICK_MS * 2); // a suspended tab doesn't count
+  lastWatchTick = now;
+  syncWatchedVideo();
+  const player = pickElement(document, WATCH_SELECTORS.video);
+  if (!watching || !player || player.paused || document.hidden) return;
+  watching.seconds += elapsed / 1000;
+  if (now - lastWatchReport >= WATCH_REPORT_MS) reportWatchTime();
+}
+
+function keepBudgetPaused(event) {
+  if (document.querySelector('.ytc-budget-block')) event.target.pause();
+}
+
+function showBudgetBlock(category) {
+  if (document.querySelector('.ytc-budget-block')) return;
+  const player = pickElement(document, WATCH_SELECTORS.video);
+  if (player) {
+    player.pause();
+    player.addEventListener('play', keepBudgetPaused);
+  }
+  const budget = watchBudgets.budgets.find(b => b.category === category);
+  const label = category === LOW_SCORE_CATEGORY ? 'low-scoring videos' : category;
+  const block = document.createElement('div');
+  block.className = 'ytc-budget-block';
+  block.innerHTML = `
+    <div class="ytc-budget-title">Daily budget reached</div>
+    <div class="ytc-budget-reason"></div>
+    <div>
+      <button data-action="home">Back to home</button>
+      <button data-action="watch">Watch this one anyway</button>
+    </div>
+  `;
+  block.querySelector('.ytc-budget-reason').textContent =
+    `You've used today's ${budget ? formatMinutes(budget.minutes) : 'time'} of ${label}.`;
+  block.querySelector('[data-action="home"]').addEventListener('click', () => {
+    removeBudgetBlock();
+    location.href = '/';
+  });
+  block.querySelector('[data-action="watch"]').addEventListener('click', () => {
+    if (watching) budgetAllowed.add(watching.videoId);
+    removeBudgetBlock();
+    if (player) player.play();
+  });
+  document.body.appendChild(block);
+  console.log(`[YT-Control] Watch budget for ${category} used up — blocked ${watching.videoId}`);
+}
+
+function removeBudgetBlock() {
+  document.querySelectorAll('.ytc-budget-block').forEach(block => block.remove());
+  document.querySelectorAll('video').forEach(video => video.removeEventListener('play', keepBudgetPaused));
+}
+
+// Hard enforcement only; soft enforcement is the background raising strictness
+function enforceBudget() {
+  const blocked = watching && watching.category && onWatchPage() && filteringEnabled &&
+    watchBudgets.enforcement === 'hard' && budgetOver.includes(watching.category) &&
+    !budgetAllowed.has(watching.videoId);
+  if (blocked) showBudgetBlock(watching.category);
+  else removeBudgetBlock();
+}
+
+// Tick only on watch and Shorts pages
+function watchWatchPages() {
+  if (onWatchPage() && !watchTimer) {
+    lastWatchTick = Date.now();
+    lastWatchReport = Date.now();
+    watchTimer = setInterval(watchTick, WATCH_TICK_MS);
+  } else if (!onWatchPage() && watchTimer) {
+    clearInterval(watchTimer);
+    watchTimer = null;
+    reportWatchTime();
+    removeBudgetBlock();
+    watching = null;
+  }
+  if (watchTimer) syncWatchedVideo();
+}
+
+document.addEventListener('yt-navigate-finish', watchWatchPages);
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) reportWatchTime();
+});
+window.addEventListener('pagehide', reportWatchTime);
+watchWatchPages();